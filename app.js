@@ -15,11 +15,51 @@ const STORAGE_KEY = "yourdrawingssuckai.dataset.v1";
 const ALGO_STATS_STORAGE_KEY = "yourdrawingssuckai.algorithmStats.v1";
 const USER_PROFILE_STORAGE_KEY = "yourdrawingssuckai.userProfile.v1";
 const SERVER_URL_STORAGE_KEY = "yourdrawingssuckai.serverUrl.v1";
+const SERVER_ROOM_STORAGE_KEY = "yourdrawingssuckai.serverRoom.v1";
+const DEFAULT_ROOM = "main";
 const SERVER_SYNC_REV_STORAGE_KEY = "yourdrawingssuckai.serverSyncRevision.v1";
+const SERVER_SYNC_OUTBOX_STORAGE_KEY = "yourdrawingssuckai.serverSyncOutbox.v1";
+const SERVER_DELETION_OUTBOX_STORAGE_KEY = "yourdrawingssuckai.serverDeletionOutbox.v1";
+const CLIENT_TOKENS_STORAGE_KEY = "yourdrawingssuckai.clientTokens.v1";
+const SERVER_UNREADABLE_STORAGE_KEY = "yourdrawingssuckai.serverUnreadable.v1";
+const SERVER_DOWNLOAD_PAGE_SIZE = 1000;
+const SERVER_PAGE_ATTEMPTS = 5;
+const MAX_UNREADABLE_ENTRIES = 2000;
+const DECRYPT_BATCH_SIZE = 25;
 const DRAWING_CRYPTO_CONFIG_STORAGE_KEY = "yourdrawingssuckai.cryptoConfig.v1";
+const GROUP_KEYS_STORAGE_KEY = "yourdrawingssuckai.groupKeys.v1";
+const ACTIVE_GROUP_STORAGE_KEY = "yourdrawingssuckai.activeGroup.v1";
+const INVITE_CODE_PREFIX = "yds-invite:";
+const BLOB_FORMAT_VERSION = 2;
+const RETIRED_KEYS_STORAGE_KEY = "yourdrawingssuckai.retiredKeys.v1";
+const KEY_ROTATION_STORAGE_KEY = "yourdrawingssuckai.keyRotation.v1";
+const KEY_ROTATION_DONE_STORAGE_KEY = "yourdrawingssuckai.keyRotationDone.v1";
+const ENCRYPTION_RESET_STORAGE_KEY = "yourdrawingssuckai.encryptionReset.v1";
+const SESSION_LENGTH_STORAGE_KEY = "yourdrawingssuckai.sessionLength.v1";
+const APP_DATABASE_NAME = "yourdrawingssuckai";
+const APP_DATABASE_VERSION = 4;
+const SESSION_KEY_STORE = "session";
+const SESSION_KEY_RECORD_ID = "personalKey";
+const SIGNING_KEY_STORE = "signing";
+const DATASET_STORE = "drawings";
+const OUTBOX_BLOB_STORE = "outbox";
+const SIGNING_KEY_RECORD_ID = "signingKey";
+const KNOWN_SIGNING_KEYS_STORAGE_KEY = "yourdrawingssuckai.knownSigningKeys.v1";
+const SIGNED_UPLOAD_STORAGE_KEY = "yourdrawingssuckai.signedUpload.v1";
+const SESSION_LENGTH_OPTIONS = [
+  { label: "This tab only", ms: 0 },
+  { label: "15 minutes", ms: 15 * 60 * 1000 },
+  { label: "1 hour", ms: 60 * 60 * 1000 },
+  { label: "8 hours", ms: 8 * 60 * 60 * 1000 },
+  { label: "7 days", ms: 7 * 24 * 60 * 60 * 1000 },
+];
+const DEFAULT_SESSION_LENGTH_MS = 8 * 60 * 60 * 1000;
 
 const COMPARE_STATS_STORAGE_KEY = "yourdrawingssuckai.modelCompareStats.v1";
-const GRID_SIZE = 16;
+const DRAWING_CANVAS_SIZE = 500;
+const STROKE_RECORD_VERSION = 1;
+const STROKE_GRID_SIZE = 255;
+const MAX_STROKE_RECORD_POINTS = 1200;
 
 const ACTIVE_ALGORITHM_IDS = [1, 7, 72];
 const HYPERDRAW_ALGORITHM_ID = 1;
@@ -71,21 +111,144 @@ function getStorageItem(key) {
   }
 }
 
+function removeStorageItem(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Ignore storage errors, same as reads and writes.
+  }
+}
+
+// Returns false when the write failed (private browsing, disabled storage, quota exceeded).
 function setStorageItem(key, value) {
   try {
     localStorage.setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeRoomName(value) {
+  const room = `${value || ""}`.trim().toLowerCase();
+  return /^[a-z0-9][a-z0-9-]{0,39}$/.test(room) ? room : null;
+}
+
+// `?room=` in the URL wins over the remembered room, and becomes the remembered room.
+function resolveCurrentRoom() {
+  let fromUrl = null;
+  try {
+    fromUrl = new URLSearchParams(window.location.search).get("room");
   } catch {
-    // Ignore storage write errors (private browsing, disabled storage, quota exceeded).
+    fromUrl = null;
   }
+  const room = normalizeRoomName(fromUrl) || normalizeRoomName(getStorageItem(SERVER_ROOM_STORAGE_KEY)) || DEFAULT_ROOM;
+  setStorageItem(SERVER_ROOM_STORAGE_KEY, room);
+  return room;
+}
+
+const CURRENT_ROOM = resolveCurrentRoom();
+
+// The default room keeps the original keys, so data saved before rooms existed stays where it is.
+function roomStorageKey(key, room = CURRENT_ROOM) {
+  return room === DEFAULT_ROOM ? key : `${key}.room.${room}`;
 }
 
 function randomPrompt() {
   return OBJECTS[Math.floor(Math.random() * OBJECTS.length)];
 }
 
-function loadDataset() {
+// Ramer-Douglas-Peucker: drops points that sit within `tolerance` of the line between their neighbours.
+function simplifyStrokePoints(points, tolerance) {
+  if (points.length < 3) return points;
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const a = points[first];
+    const b = points[last];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let index = first + 1; index < last; index += 1) {
+      const p = points[index];
+      const distance = length
+        ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length
+        : Math.hypot(p.x - a.x, p.y - a.y);
+      if (distance > farthestDistance) {
+        farthest = index;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest === -1) continue;
+    keep[farthest] = true;
+    stack.push([first, farthest], [farthest, last]);
+  }
+  return points.filter((_, index) => keep[index]);
+}
+
+// Stroke record v1: coordinates scaled to 0..STROKE_GRID_SIZE, times in ms since the first point, and
+// each stroke's points flattened to [x, y, t, x, y, t, ...]. Tolerance grows until the record fits.
+function createStrokeRecord(strokes, canvasSize) {
+  const usable = strokes.filter((stroke) => Array.isArray(stroke?.points) && stroke.points.length);
+  if (!usable.length) return null;
+  const startedAt = usable[0].points[0].t || 0;
+  const scale = STROKE_GRID_SIZE / Math.max(1, canvasSize);
+
+  let tolerance = 1.5;
+  let simplified = [];
+  for (let attempt = 0; attempt < 8; attempt += 1) {
+    simplified = usable.map((stroke) => simplifyStrokePoints(stroke.points, tolerance));
+    if (simplified.reduce((total, points) => total + points.length, 0) <= MAX_STROKE_RECORD_POINTS) break;
+    tolerance *= 2;
+  }
+  // Scribbles can defeat simplification entirely, so fall back to keeping every n-th point.
+  const total = simplified.reduce((sum, points) => sum + points.length, 0);
+  if (total > MAX_STROKE_RECORD_POINTS) {
+    const stride = Math.ceil(total / MAX_STROKE_RECORD_POINTS);
+    simplified = simplified.map((points) =>
+      points.filter((_, index) => index % stride === 0 || index === points.length - 1)
+    );
+  }
+
+  return {
+    v: STROKE_RECORD_VERSION,
+    size: STROKE_GRID_SIZE,
+    strokes: usable.map((stroke, strokeIndex) => ({
+      erase: Boolean(stroke.erase),
+      points: simplified[strokeIndex].flatMap((point) => [
+        Math.round(Math.min(STROKE_GRID_SIZE, Math.max(0, point.x * scale))),
+        Math.round(Math.min(STROKE_GRID_SIZE, Math.max(0, point.y * scale))),
+        Math.max(0, Math.round((point.t || startedAt) - startedAt)),
+      ]),
+    })),
+  };
+}
+
+// Returns the record if it is a stroke record this version understands, otherwise null.
+function normalizeStrokeRecord(record) {
+  if (!record || record.v !== STROKE_RECORD_VERSION || !Array.isArray(record.strokes)) return null;
+  const strokes = record.strokes.filter(
+    (stroke) =>
+      stroke &&
+      Array.isArray(stroke.points) &&
+      stroke.points.length >= 3 &&
+      stroke.points.length % 3 === 0 &&
+      stroke.points.every((value) => Number.isFinite(value))
+  );
+  if (!strokes.length) return null;
+  return {
+    v: STROKE_RECORD_VERSION,
+    size: Number(record.size) > 0 ? Number(record.size) : STROKE_GRID_SIZE,
+    strokes: strokes.map((stroke) => ({ erase: Boolean(stroke.erase), points: stroke.points })),
+  };
+}
+
+function loadLocalStorageDataset() {
   try {
-    const raw = getStorageItem(STORAGE_KEY);
+    const raw = getStorageItem(roomStorageKey(STORAGE_KEY));
     if (!raw) return [];
     const parsed = JSON.parse(raw);
     if (!Array.isArray(parsed)) return [];
@@ -112,19 +275,451 @@ function loadDataset() {
       (item) =>
         item &&
         typeof item.label === "string" &&
-        Array.isArray(item.vector) &&
         typeof item.ts === "number"
     ).map((item) => ({
       ...item,
-      vector: downscale32To16(item.vector),
-    })).filter((item) => item.vector.length === GRID_SIZE * GRID_SIZE);
+      vector: decodeVector(item.vector) || downscale32To16(decodeVector(item.vector, 32 * 32)),
+    })).filter((item) => item.vector);
   } catch {
     return [];
   }
 }
 
+function toDatasetRecord(item) {
+  return { ...item, room: CURRENT_ROOM, vector: encodeVector(item.vector) };
+}
+
+function fromDatasetRecord(record) {
+  const vector = decodeVector(record?.vector);
+  if (!vector || vector.length !== GRID_SIZE * GRID_SIZE || typeof record.label !== "string" || typeof record.ts !== "number") return null;
+  const { room, ...item } = record;
+  return { ...item, vector };
+}
+
+// Once IndexedDB is open, `persisted` mirrors what is stored there, so each save only writes the records
+// that changed. Until then (or in browsers without IndexedDB) the dataset stays in one localStorage string.
+const datasetStore = { indexed: false, persisted: new Map(), writes: Promise.resolve() };
+// App sets onWriteFailed so a queue that could not be saved is shown to the player.
+const outboxStore = { blobs: new Map(), onWriteFailed: null };
+
+function datasetCapacity() {
+  return datasetStore.indexed ? MAX_INDEXED_DRAWINGS : MAX_LOCAL_DRAWINGS;
+}
+
+function loadDataset() {
+  if (datasetStore.indexed) return [...datasetStore.persisted.values()];
+  return loadLocalStorageDataset();
+}
+
 function saveDataset(dataset) {
-  setStorageItem(STORAGE_KEY, JSON.stringify(dataset));
+  if (!datasetStore.indexed) {
+    setStorageItem(roomStorageKey(STORAGE_KEY), JSON.stringify(dataset.map((item) => ({ ...item, vector: encodeVector(item.vector) }))));
+    return;
+  }
+
+  const next = new Map(dataset.map((item) => [item.id, item]));
+  const changed = dataset.filter((item) => datasetStore.persisted.get(item.id) !== item);
+  const removedIds = [...datasetStore.persisted.keys()].filter((id) => !next.has(id));
+  datasetStore.persisted = next;
+  if (!changed.length && !removedIds.length) return;
+
+  datasetStore.writes = datasetStore.writes
+    .then(() =>
+      runAppDatabase(DATASET_STORE, "readwrite", (store) => {
+        changed.forEach((item) => store.put(toDatasetRecord(item)));
+        removedIds.forEach((id) => store.delete([CURRENT_ROOM, id]));
+      })
+    )
+    .catch(() => {
+      // A failed write only loses local copies; synced drawings come back with the next full download.
+    });
+}
+
+// Opens the room's IndexedDB dataset and moves a localStorage dataset into it the first time.
+async function openIndexedDataset() {
+  const range = IDBKeyRange.bound([CURRENT_ROOM], [CURRENT_ROOM, []]);
+  const records = await runAppDatabase(DATASET_STORE, "readonly", (store) => store.getAll(range));
+  const byId = new Map(records.map(fromDatasetRecord).filter(Boolean).map((item) => [item.id, item]));
+
+  const legacy = loadLocalStorageDataset().map((item) => (typeof item.id === "string" ? item : { ...item, id: `${item.label}_${item.ts}` }));
+  if (legacy.length) {
+    await runAppDatabase(DATASET_STORE, "readwrite", (store) => {
+      legacy.forEach((item) => store.put(toDatasetRecord(item)));
+    });
+    legacy.forEach((item) => byId.set(item.id, item));
+  }
+  removeStorageItem(roomStorageKey(STORAGE_KEY));
+
+  const dataset = [...byId.values()].sort((a, b) => a.ts - b.ts);
+  datasetStore.indexed = true;
+  datasetStore.persisted = new Map(dataset.map((item) => [item.id, item]));
+  return dataset;
+}
+
+const MAX_LOCAL_DRAWINGS = 2000;
+const MAX_INDEXED_DRAWINGS = 25000;
+const CURATIONS_STORAGE_KEY = "yourdrawingssuckai.curations.v1";
+const CURATION_OUTBOX_STORAGE_KEY = "yourdrawingssuckai.curationOutbox.v1";
+const CURATION_ACTIONS = ["relabel", "flag", "exclude", "clear"];
+const RETENTION_CONFIG_STORAGE_KEY = "yourdrawingssuckai.retention.v1";
+const DEFAULT_RETENTION_CONFIG = { minPerLabel: 30, qualityWeight: 0.3 };
+const DATASET_EXPORT_FORMAT = "yourdrawingssuckai-dataset";
+const DATASET_EXPORT_VERSION = 1;
+const IMPORT_BATCH_SIZE = 200;
+const QUICKDRAW_IMPORT_LIMIT_PER_LABEL = 300;
+const QUICKDRAW_CANVAS_MARGIN = 0.1;
+const QUICKDRAW_POINT_INTERVAL_MS = 20;
+const QUICKDRAW_STROKE_GAP_MS = 250;
+const IMPORT_LABEL_ALIASES = {
+  "hamburger": "burger",
+  "cell phone": "phone",
+  "drums": "drum",
+  "sailboat": "boat",
+  "eyeglasses": "glasses",
+  "floor lamp": "lamp",
+  "mountain": "mountains",
+  "light bulb": "lightbulb",
+  "t shirt": "shirt",
+  "fire": "flames",
+  "trophy": "trophie",
+  "palm tree": "palm trees",
+};
+
+// Merge rules, keyed by drawing id:
+// - drawings that only exist on this device are always kept;
+// - a drawing still waiting in the upload outbox keeps its local copy;
+// - otherwise the copy from the server replaces the local one.
+function mergeDrawingsById(existing, incoming, pendingIds = new Set()) {
+  const byId = new Map();
+  existing.forEach((item) => byId.set(item.id || `${item.label}_${item.ts}`, item));
+  incoming.forEach((item) => {
+    if (pendingIds.has(item.id) && byId.has(item.id)) return;
+    byId.set(item.id, item);
+  });
+  return [...byId.values()].sort((a, b) => a.ts - b.ts);
+}
+
+// Curation records are decisions about a drawing: relabel it, flag it as junk, exclude it from training,
+// or clear an earlier decision. The newest record per drawing wins, whoever wrote it.
+function normalizeCurationRecord(record) {
+  if (
+    !record ||
+    typeof record.id !== "string" ||
+    typeof record.drawingId !== "string" ||
+    !CURATION_ACTIONS.includes(record.action) ||
+    typeof record.at !== "number"
+  ) {
+    return null;
+  }
+  if (record.action === "relabel" && (typeof record.label !== "string" || !record.label.trim())) return null;
+  return {
+    id: record.id,
+    drawingId: record.drawingId,
+    action: record.action,
+    ...(record.action === "relabel" ? { label: record.label.trim().slice(0, 60) } : {}),
+    at: record.at,
+    by: typeof record.by === "string" ? record.by : "",
+  };
+}
+
+// One record per author and drawing: a new decision replaces the author's previous one on the server.
+function curationRecordId(clientId, drawingId) {
+  return `cur_${clientId}_${drawingId}`;
+}
+
+function loadCurations() {
+  try {
+    const parsed = JSON.parse(getStorageItem(roomStorageKey(CURATIONS_STORAGE_KEY)) || "{}");
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return {};
+    return Object.fromEntries(
+      Object.values(parsed).map(normalizeCurationRecord).filter(Boolean).map((record) => [record.drawingId, record])
+    );
+  } catch {
+    return {};
+  }
+}
+
+function saveCurations(curations) {
+  setStorageItem(roomStorageKey(CURATIONS_STORAGE_KEY), JSON.stringify(curations));
+}
+
+function mergeCurations(existing, records) {
+  const merged = { ...existing };
+  records.forEach((record) => {
+    const current = merged[record.drawingId];
+    if (!current || record.at > current.at || (record.at === current.at && record.id > current.id)) {
+      merged[record.drawingId] = record;
+    }
+  });
+  return merged;
+}
+
+function loadCurationOutbox() {
+  try {
+    const parsed = JSON.parse(getStorageItem(roomStorageKey(CURATION_OUTBOX_STORAGE_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.map(normalizeCurationRecord).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveCurationOutbox(records) {
+  setStorageItem(roomStorageKey(CURATION_OUTBOX_STORAGE_KEY), JSON.stringify(records));
+}
+
+// The dataset the classifier trains on: flagged and excluded drawings are left out, relabels applied.
+function applyCurations(dataset, curations) {
+  if (!Object.keys(curations).length) return dataset;
+  return dataset.reduce((training, item) => {
+    const curation = curations[item.id];
+    if (!curation || curation.action === "clear") training.push(item);
+    else if (curation.action === "relabel") training.push({ ...item, label: curation.label });
+    return training;
+  }, []);
+}
+
+function describeCuration(curation) {
+  if (!curation || curation.action === "clear") return "";
+  if (curation.action === "relabel") return `relabeled as ${curation.label}`;
+  return curation.action === "flag" ? "flagged as junk" : "excluded from training";
+}
+
+function loadRetentionConfig() {
+  try {
+    const parsed = JSON.parse(getStorageItem(RETENTION_CONFIG_STORAGE_KEY) || "{}");
+    const minPerLabel = Number(parsed?.minPerLabel);
+    const qualityWeight = Number(parsed?.qualityWeight);
+    return {
+      minPerLabel: Number.isFinite(minPerLabel) ? Math.max(0, Math.floor(minPerLabel)) : DEFAULT_RETENTION_CONFIG.minPerLabel,
+      qualityWeight: Number.isFinite(qualityWeight) ? Math.min(1, Math.max(0, qualityWeight)) : DEFAULT_RETENTION_CONFIG.qualityWeight,
+    };
+  } catch {
+    return { ...DEFAULT_RETENTION_CONFIG };
+  }
+}
+
+function saveRetentionConfig(config) {
+  setStorageItem(RETENTION_CONFIG_STORAGE_KEY, JSON.stringify(config));
+}
+
+// trimDataset (dataset.js) with this room's capacity and the player's retention settings.
+function trimRoomDataset(dataset, pendingIds, onReport) {
+  return trimDataset(dataset, { labels: OBJECTS, limit: datasetCapacity(), config: loadRetentionConfig(), pendingIds, onReport });
+}
+
+// Exports are NDJSON: a header line naming the format and version, then one drawing per line with its
+// vector in the compact form. Strokes and author fields are only written when asked for.
+function createDatasetExport(dataset, { includeStrokes = false, includeAuthors = false } = {}) {
+  const header = {
+    format: DATASET_EXPORT_FORMAT,
+    version: DATASET_EXPORT_VERSION,
+    room: CURRENT_ROOM,
+    exportedAt: Date.now(),
+    count: dataset.length,
+    strokes: includeStrokes,
+    authors: includeAuthors,
+  };
+  const lines = dataset.map((item) =>
+    JSON.stringify({
+      id: item.id,
+      label: item.label,
+      ts: item.ts,
+      vector: encodeVector(item.vector),
+      ...(includeStrokes && item.strokes ? { strokes: item.strokes } : {}),
+      ...(includeAuthors ? { authorName: item.authorName || "", clientId: item.clientId || "" } : {}),
+    })
+  );
+  return `${[JSON.stringify(header), ...lines].join("\n")}\n`;
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Case, dashes and underscores are ignored, then known Quick Draw names and plural/singular forms are tried.
+function mapImportLabel(label) {
+  if (typeof label !== "string") return null;
+  const normalized = label.trim().toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ");
+  const candidates = [normalized, IMPORT_LABEL_ALIASES[normalized], `${normalized}s`, normalized.replace(/s$/, "")];
+  return candidates.find((candidate) => candidate && OBJECTS.includes(candidate)) || null;
+}
+
+// Quick Draw strokes are [xs, ys] (plus optional times) in a 0-255 box. They are centred on the drawing
+// canvas with a margin, like a sketch drawn in the app, then vectorized the same way as vectorizeCanvas.
+function rasterizeQuickDrawing(drawing, canvas, offscreen) {
+  const rawStrokes = drawing.filter(
+    (stroke) => Array.isArray(stroke) && Array.isArray(stroke[0]) && Array.isArray(stroke[1]) && stroke[0].length
+  );
+  const xs = rawStrokes.flatMap((stroke) => stroke[0]);
+  const ys = rawStrokes.flatMap((stroke) => stroke[1]);
+  if (!xs.length || ![...xs, ...ys].every((value) => Number.isFinite(value))) return null;
+
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const extent = Math.max(1, Math.max(...xs) - minX, Math.max(...ys) - minY);
+  const scale = (DRAWING_CANVAS_SIZE * (1 - 2 * QUICKDRAW_CANVAS_MARGIN)) / extent;
+  const offsetX = (DRAWING_CANVAS_SIZE - (Math.max(...xs) - minX) * scale) / 2;
+  const offsetY = (DRAWING_CANVAS_SIZE - (Math.max(...ys) - minY) * scale) / 2;
+
+  let clock = 0;
+  const strokes = rawStrokes.map(([strokeXs, strokeYs, times]) => {
+    const points = strokeXs.map((x, index) => {
+      const t = Array.isArray(times) && Number.isFinite(times[index]) ? times[index] : clock + index * QUICKDRAW_POINT_INTERVAL_MS;
+      return { x: offsetX + (x - minX) * scale, y: offsetY + (strokeYs[index] - minY) * scale, t };
+    });
+    clock = points[points.length - 1].t + QUICKDRAW_STROKE_GAP_MS;
+    return { points: points.length === 1 ? [points[0], points[0]] : points, erase: false };
+  });
+
+  paintStrokes(canvas, strokes);
+  return { vector: canvasToVector(canvas, offscreen), strokes: createStrokeRecord(strokes, DRAWING_CANVAS_SIZE) };
+}
+
+// Turns one parsed import line into a dataset entry, or a reason it was skipped. Header lines return null.
+function parseImportEntry(value, raster) {
+  if (!value || typeof value !== "object") return { skipped: "invalid" };
+  if (value.format === DATASET_EXPORT_FORMAT) {
+    if (Number(value.version) > DATASET_EXPORT_VERSION) throw new Error("This export was made by a newer version of the app.");
+    return null;
+  }
+
+  const isQuickDraw = typeof value.word === "string" && Array.isArray(value.drawing);
+  const rawLabel = isQuickDraw ? value.word : value.label;
+  if (typeof rawLabel !== "string") return { skipped: "invalid" };
+  const label = mapImportLabel(rawLabel);
+  if (!label) return { skipped: "unmapped", label: rawLabel };
+
+  if (isQuickDraw) {
+    if (value.recognized === false) return { skipped: "unrecognized" };
+    const rasterized = rasterizeQuickDrawing(value.drawing, raster.canvas, raster.offscreen);
+    if (!rasterized || !rasterized.vector.some((cell) => cell > 0.18)) return { skipped: "invalid" };
+    const ts = Date.parse(value.timestamp);
+    return {
+      quickDraw: true,
+      item: {
+        id: value.key_id ? `qd_${value.key_id}` : `qd_${randomId()}`,
+        label,
+        vector: rasterized.vector,
+        ts: Number.isFinite(ts) ? ts : Date.now(),
+        authorName: value.countrycode ? `Quick Draw (${value.countrycode})` : "Quick Draw",
+        clientId: "",
+        ...(rasterized.strokes ? { strokes: rasterized.strokes } : {}),
+      },
+    };
+  }
+
+  const vector = decodeVector(value.vector);
+  if (!vector || vector.length !== GRID_SIZE * GRID_SIZE || typeof value.ts !== "number") return { skipped: "invalid" };
+  const strokes = normalizeStrokeRecord(value.strokes);
+  // Signatures are not exported, so imported drawings are never marked verified.
+  return {
+    item: {
+      id: typeof value.id === "string" && value.id ? value.id : `${label}_${value.ts}`,
+      label,
+      vector,
+      ts: value.ts,
+      authorName: typeof value.authorName === "string" ? value.authorName : "",
+      clientId: typeof value.clientId === "string" ? value.clientId : "",
+      ...(strokes ? { strokes } : {}),
+    },
+  };
+}
+
+// Reads a dataset export (NDJSON or a JSON array) or Quick Draw simplified NDJSON. Lines are streamed, so
+// multi-gigabyte Quick Draw files stop being read once the per-object and capacity limits are reached.
+async function importDatasetFile(file, existingIds, onProgress = () => {}) {
+  const raster = { canvas: document.createElement("canvas"), offscreen: createVectorCanvas() };
+  raster.canvas.width = DRAWING_CANVAS_SIZE;
+  raster.canvas.height = DRAWING_CANVAS_SIZE;
+  const seenIds = new Set(existingIds);
+  const perLabel = {};
+  const items = [];
+  const report = { duplicates: 0, invalid: 0, unrecognized: 0, overLimit: 0, unmapped: {} };
+  const limit = datasetCapacity();
+  let processed = 0;
+
+  const handle = (value) => {
+    const parsed = parseImportEntry(value, raster);
+    if (!parsed) return;
+    if (parsed.skipped === "unmapped") report.unmapped[parsed.label] = (report.unmapped[parsed.label] || 0) + 1;
+    else if (parsed.skipped) report[parsed.skipped] += 1;
+    else if (seenIds.has(parsed.item.id)) report.duplicates += 1;
+    else if (parsed.quickDraw && (perLabel[parsed.item.label] || 0) >= QUICKDRAW_IMPORT_LIMIT_PER_LABEL) report.overLimit += 1;
+    else {
+      seenIds.add(parsed.item.id);
+      perLabel[parsed.item.label] = (perLabel[parsed.item.label] || 0) + 1;
+      items.push(parsed.item);
+    }
+  };
+  const handleLine = async (line) => {
+    if (!line.trim()) return;
+    try {
+      handle(JSON.parse(line));
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      report.invalid += 1;
+    }
+    processed += 1;
+    if (processed % IMPORT_BATCH_SIZE === 0) {
+      onProgress(processed);
+      await yieldToBrowser();
+    }
+  };
+
+  if ((await file.slice(0, 64).text()).trimStart().startsWith("[")) {
+    let values;
+    try {
+      values = JSON.parse(await file.text());
+    } catch {
+      throw new Error("That file is not valid JSON.");
+    }
+    if (!Array.isArray(values)) throw new Error("That file is not a drawing export: expected an array of drawings.");
+    for (const value of values) {
+      if (items.length >= limit) break;
+      handle(value);
+      processed += 1;
+      if (processed % IMPORT_BATCH_SIZE === 0) {
+        onProgress(processed);
+        await yieldToBrowser();
+      }
+    }
+    return { items, report };
+  }
+
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  while (items.length < limit) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    const lines = (buffer + value).split("\n");
+    buffer = lines.pop();
+    for (const line of lines) await handleLine(line);
+  }
+  if (items.length < limit) await handleLine(buffer);
+  else await reader.cancel();
+  return { items: items.slice(0, limit), report };
+}
+
+function describeImportReport(added, kept, report) {
+  const parts = [`Imported ${kept.toLocaleString()} drawing${kept === 1 ? "" : "s"}.`];
+  if (kept < added) parts.push(`${(added - kept).toLocaleString()} more did not fit in this room's ${datasetCapacity().toLocaleString()} drawing limit.`);
+  if (report.duplicates) parts.push(`${report.duplicates.toLocaleString()} already in the dataset.`);
+  const unmapped = Object.entries(report.unmapped).sort((a, b) => b[1] - a[1]);
+  if (unmapped.length) {
+    const names = unmapped.slice(0, 5).map(([label]) => `"${label}"`).join(", ");
+    parts.push(`Skipped ${unmapped.reduce((total, [, count]) => total + count, 0).toLocaleString()} with unknown objects (${names}${unmapped.length > 5 ? ", …" : ""}).`);
+  }
+  if (report.overLimit) parts.push(`Skipped ${report.overLimit.toLocaleString()} over the ${QUICKDRAW_IMPORT_LIMIT_PER_LABEL} per object limit.`);
+  if (report.unrecognized) parts.push(`Skipped ${report.unrecognized.toLocaleString()} that Quick Draw did not recognize.`);
+  if (report.invalid) parts.push(`Skipped ${report.invalid.toLocaleString()} unreadable lines.`);
+  return parts.join(" ");
 }
 
 function createDefaultAlgorithmStats() {
@@ -164,23 +759,6 @@ function randomId() {
   return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
 }
 
-function bytesToBase64(bytes) {
-  let binary = "";
-  bytes.forEach((value) => {
-    binary += String.fromCharCode(value);
-  });
-  return btoa(binary);
-}
-
-function base64ToBytes(value) {
-  const binary = atob(value);
-  const output = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i += 1) {
-    output[i] = binary.charCodeAt(i);
-  }
-  return output;
-}
-
 function loadCryptoConfig() {
   try {
     const raw = getStorageItem(DRAWING_CRYPTO_CONFIG_STORAGE_KEY);
@@ -197,2072 +775,1711 @@ function saveCryptoConfig(config) {
   setStorageItem(DRAWING_CRYPTO_CONFIG_STORAGE_KEY, JSON.stringify(config));
 }
 
-async function getOrCreateCryptoContext() {
+// The private key is non-extractable and never leaves IndexedDB; only the public key is published.
+async function loadOrCreateSigningKeys() {
+  try {
+    const stored = await runAppDatabase(SIGNING_KEY_STORE, "readonly", (store) => store.get(SIGNING_KEY_RECORD_ID));
+    if (stored?.privateKey && typeof stored.publicKey === "string") return stored;
+  } catch {
+    // Fall through and create a key for this page.
+  }
+
+  const pair = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, false, ["sign", "verify"]);
+  const record = {
+    privateKey: pair.privateKey,
+    publicKey: bytesToBase64(new Uint8Array(await crypto.subtle.exportKey("spki", pair.publicKey))),
+  };
+  try {
+    await runAppDatabase(SIGNING_KEY_STORE, "readwrite", (store) => store.put(record, SIGNING_KEY_RECORD_ID));
+  } catch {
+    // Without IndexedDB a new key is published on every load; older drawings still verify against the old keys.
+  }
+  return record;
+}
+
+function loadKnownSigningKeys() {
+  try {
+    const raw = getStorageItem(KNOWN_SIGNING_KEYS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Keys are only ever added: a key the server stops listing still verifies drawings it already signed.
+function rememberSigningKeys(authors) {
+  const known = loadKnownSigningKeys();
+  let changed = false;
+  Object.entries(authors || {}).forEach(([clientId, author]) => {
+    const keys = Array.isArray(author?.publicKeys) ? author.publicKeys.filter((key) => typeof key === "string") : [];
+    const current = Array.isArray(known[clientId]) ? known[clientId] : [];
+    const added = keys.filter((key) => !current.includes(key));
+    if (!added.length) return;
+    known[clientId] = [...current, ...added];
+    changed = true;
+  });
+  if (changed) setStorageItem(KNOWN_SIGNING_KEYS_STORAGE_KEY, JSON.stringify(known));
+  return known;
+}
+
+function drawingSignatureData(payload) {
+  return new TextEncoder().encode(JSON.stringify([
+    "yourdrawingssuckai-signature",
+    1,
+    payload.id,
+    payload.clientId,
+    payload.authorName,
+    payload.label,
+    payload.ts,
+    payload.vector,
+    // Older payloads have no strokes, so their signed data stays unchanged.
+    ...(payload.strokes ? [payload.strokes] : []),
+  ]));
+}
+
+const importedVerifyKeys = new Map();
+
+function importVerifyKey(publicKey) {
+  if (!importedVerifyKeys.has(publicKey)) {
+    importedVerifyKeys.set(
+      publicKey,
+      crypto.subtle.importKey("spki", base64ToBytes(publicKey), { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]).catch(() => null)
+    );
+  }
+  return importedVerifyKeys.get(publicKey);
+}
+
+async function verifyDrawingSignature(payload, publicKeys) {
+  const data = drawingSignatureData(payload);
+  for (const publicKey of publicKeys) {
+    const key = await importVerifyKey(publicKey);
+    if (!key) continue;
+    try {
+      if (await crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, base64ToBytes(payload.sig), data)) return true;
+    } catch {
+      // A malformed signature simply does not verify.
+    }
+  }
+  return false;
+}
+
+// Throws with a user-facing message when the passphrase does not match the one this device uses.
+async function unlockWithPassphrase(passphraseRaw) {
   if (!window.crypto?.subtle) throw new Error("This browser cannot encrypt drawings.");
+  const passphrase = `${passphraseRaw || ""}`.trim();
+  if (!passphrase) throw new Error("Enter a passphrase.");
 
   let config = loadCryptoConfig();
-  let passphrase = "";
-
-  while (!passphrase.trim()) {
-    const entered = window.prompt("Create a drawing passphrase. The server will store encrypted blobs only.") || "";
-    passphrase = entered.trim();
+  // A mistyped passphrase would derive a key that silently fails to decrypt anything, so check it first.
+  if (config && (await passphraseKeyHint(passphrase)) !== config.keyHint) {
+    throw new Error("That passphrase does not match the one used on this device. Try again.");
   }
 
   if (!config) {
     const saltBytes = crypto.getRandomValues(new Uint8Array(16));
     config = {
       salt: bytesToBase64(saltBytes),
-      keyHint: bytesToBase64(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(passphrase))).slice(0, 22),
+      keyHint: await passphraseKeyHint(passphrase),
     };
     saveCryptoConfig(config);
   }
 
-  const imported = await crypto.subtle.importKey(
-    "raw",
-    new TextEncoder().encode(passphrase),
-    { name: "PBKDF2" },
-    false,
-    ["deriveKey"]
-  );
-
-  const key = await crypto.subtle.deriveKey(
-    {
-      name: "PBKDF2",
-      salt: base64ToBytes(config.salt),
-      iterations: 210000,
-      hash: "SHA-256",
-    },
-    imported,
-    { name: "AES-GCM", length: 256 },
-    false,
-    ["encrypt", "decrypt"]
-  );
-
+  const key = await deriveKeyFromSecret(passphrase, base64ToBytes(config.salt));
   return { key, keyHint: config.keyHint };
 }
 
-async function encryptDrawingEntry(entry, cryptoContext) {
-  return encryptPayload(
-    {
-      id: entry.id,
-      label: entry.label,
-      vector: entry.vector,
-      ts: entry.ts,
-      authorName: entry.authorName,
-      clientId: entry.clientId,
-    },
-    cryptoContext,
-    entry.id
-  );
+// For a forgotten passphrase. Group and retired keys are wrapped by it, so they are forgotten too, and
+// server blobs only those keys opened stay unreadable here. Local drawings are kept and re-uploaded
+// under the next passphrase, room by room, like after a passphrase change.
+async function resetEncryption() {
+  removeStorageItem(DRAWING_CRYPTO_CONFIG_STORAGE_KEY);
+  removeStorageItem(GROUP_KEYS_STORAGE_KEY);
+  removeStorageItem(RETIRED_KEYS_STORAGE_KEY);
+  setStorageItem(ENCRYPTION_RESET_STORAGE_KEY, "1");
+  await clearSessionKey();
 }
 
-async function encryptPayload(payload, cryptoContext, id = randomId()) {
-  const ivBytes = crypto.getRandomValues(new Uint8Array(12));
-  const plaintext = JSON.stringify(payload);
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available."));
+      return;
+    }
+    const request = window.indexedDB.open(APP_DATABASE_NAME, APP_DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSION_KEY_STORE)) db.createObjectStore(SESSION_KEY_STORE);
+      if (!db.objectStoreNames.contains(SIGNING_KEY_STORE)) db.createObjectStore(SIGNING_KEY_STORE);
+      // Keyed by [room, id] so one room's drawings are a single key range.
+      if (!db.objectStoreNames.contains(DATASET_STORE)) db.createObjectStore(DATASET_STORE, { keyPath: ["room", "id"] });
+      if (!db.objectStoreNames.contains(OUTBOX_BLOB_STORE)) db.createObjectStore(OUTBOX_BLOB_STORE, { keyPath: ["room", "id"] });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-  const encrypted = await crypto.subtle.encrypt(
-    { name: "AES-GCM", iv: ivBytes },
-    cryptoContext.key,
-    new TextEncoder().encode(plaintext)
-  );
+// Runs one request in its own transaction and resolves with its result once the transaction commits.
+async function runAppDatabase(storeName, mode, action) {
+  const db = await openAppDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
 
-  return {
-    id,
-    iv: bytesToBase64(ivBytes),
-    enc: bytesToBase64(new Uint8Array(encrypted)),
-    ver: 1,
-    keyHint: cryptoContext.keyHint,
-  };
+function loadSessionLength() {
+  const stored = Number(getStorageItem(SESSION_LENGTH_STORAGE_KEY));
+  return SESSION_LENGTH_OPTIONS.some((option) => option.ms === stored) ? stored : DEFAULT_SESSION_LENGTH_MS;
 }
 
-async function decryptDrawingEntry(encryptedEntry, cryptoContext) {
+// The CryptoKey is non-extractable, so IndexedDB keeps a handle the page can use but never read out.
+async function saveSessionKey(personal, sessionLengthMs) {
+  setStorageItem(SESSION_LENGTH_STORAGE_KEY, String(sessionLengthMs));
   try {
-    const plaintextBytes = await crypto.subtle.decrypt(
-      { name: "AES-GCM", iv: base64ToBytes(encryptedEntry.iv) },
-      cryptoContext.key,
-      base64ToBytes(encryptedEntry.enc)
+    if (!sessionLengthMs) {
+      await runAppDatabase(SESSION_KEY_STORE, "readwrite", (store) => store.delete(SESSION_KEY_RECORD_ID));
+      return;
+    }
+    await runAppDatabase(SESSION_KEY_STORE, "readwrite", (store) =>
+      store.put({ key: personal.key, keyHint: personal.keyHint, expiresAt: Date.now() + sessionLengthMs }, SESSION_KEY_RECORD_ID)
     );
-    const parsed = JSON.parse(new TextDecoder().decode(plaintextBytes));
-    if (!parsed || typeof parsed.label !== "string" || !Array.isArray(parsed.vector) || typeof parsed.ts !== "number") return null;
-    return {
-      id: typeof parsed.id === "string" ? parsed.id : encryptedEntry.id,
-      label: parsed.label,
-      vector: parsed.vector,
-      ts: parsed.ts,
-      authorName: typeof parsed.authorName === "string" ? parsed.authorName : "anonymous",
-      clientId: typeof parsed.clientId === "string" ? parsed.clientId : "",
-    };
   } catch {
-    return null;
+    // Without IndexedDB the key simply lasts until the page closes.
   }
 }
 
-async function fetchPublicIpAddress() {
+async function loadSessionKey() {
   try {
-    const response = await fetch("https://api.ipify.org?format=json", { cache: "no-store" });
-    if (!response.ok) throw new Error("ip fetch failed");
-    const data = await response.json();
-    if (typeof data?.ip !== "string" || !data.ip.trim()) throw new Error("missing ip");
-    return data.ip.trim();
+    const record = await runAppDatabase(SESSION_KEY_STORE, "readonly", (store) => store.get(SESSION_KEY_RECORD_ID));
+    const config = loadCryptoConfig();
+    if (!record || !config || record.keyHint !== config.keyHint || !(record.expiresAt > Date.now())) {
+      if (record) await clearSessionKey();
+      return null;
+    }
+    return { key: record.key, keyHint: record.keyHint };
   } catch {
-    return "unknown";
+    return null;
   }
 }
 
-function getServerBaseUrl() {
-  const configured =
-    (typeof window !== "undefined" && window.__YDS_SERVER_URL__) ||
-    getStorageItem(SERVER_URL_STORAGE_KEY) ||
-    "";
-  return configured.trim().replace(/\/$/, "");
-}
-
-function loadUserProfile() {
+async function clearSessionKey() {
   try {
-    const raw = getStorageItem(USER_PROFILE_STORAGE_KEY);
-    if (raw) {
-      const parsed = JSON.parse(raw);
-      if (parsed && typeof parsed.clientId === "string" && typeof parsed.name === "string" && parsed.name.trim()) {
-        return parsed;
-      }
-    }
+    await runAppDatabase(SESSION_KEY_STORE, "readwrite", (store) => store.delete(SESSION_KEY_RECORD_ID));
   } catch {
-    // Use fallback profile creation.
+    // Nothing stored, nothing to clear.
   }
-
-  let nextName = "";
-  while (!nextName.trim()) {
-    const entered = window.prompt("Please enter a name") || "";
-    nextName = entered.trim();
-  }
-
-  const profile = { clientId: randomId(), name: nextName };
-  setStorageItem(USER_PROFILE_STORAGE_KEY, JSON.stringify(profile));
-  return profile;
 }
 
-async function postJson(url, payload) {
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) throw new Error(`Server error (${response.status})`);
-  return response.json();
+async function passphraseKeyHint(passphrase) {
+  return bytesToBase64(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(passphrase))).slice(0, 22);
 }
 
-async function syncWithServer({ profile, drawings, cryptoContext, forceFullSync = false }) {
-  const baseUrl = getServerBaseUrl();
-  if (!baseUrl) return null;
-
-  const revision = forceFullSync
-    ? null
-    : getStorageItem(SERVER_SYNC_REV_STORAGE_KEY);
-
-  const encryptedDrawings = await Promise.all(drawings.map((item) => encryptDrawingEntry(item, cryptoContext)));
-  const encryptedIp = await encryptPayload(
-    { ip: await fetchPublicIpAddress(), clientId: profile.clientId, ts: Date.now() },
-    cryptoContext,
-    `${profile.clientId}_ip`
+// Derives the same 256 bits PBKDF2 deriveKey would, but as raw bytes so a retired key can be wrapped.
+async function deriveKeyBytes(secret, saltBytes) {
+  const imported = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "PBKDF2" },
+    false,
+    ["deriveBits"]
   );
 
-  const data = await postJson(`${baseUrl}/api/sync`, {
-    profile,
-    encryptedIp,
-    drawings: encryptedDrawings,
-    revision,
-  });
-
-  if (data?.revision) setStorageItem(SERVER_SYNC_REV_STORAGE_KEY, data.revision);
-  return data;
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      salt: saltBytes,
+      iterations: 210000,
+      hash: "SHA-256",
+    },
+    imported,
+    256
+  );
+  return new Uint8Array(bits);
 }
 
+async function deriveKeyFromSecret(secret, saltBytes) {
+  return importRawKey(await deriveKeyBytes(secret, saltBytes));
+}
 
-function loadCompareStats() {
+function loadGroupKeyRecords() {
   try {
-    const raw = getStorageItem(COMPARE_STATS_STORAGE_KEY);
-    if (!raw) return { attempts: 0, hyperDrawWins: 0, hyperDrawV2Wins: 0, hyperDrawV2XWins: 0, ties: 0 };
+    const raw = getStorageItem(GROUP_KEYS_STORAGE_KEY);
+    if (!raw) return [];
     const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") throw new Error("invalid stats");
-    return {
-      attempts: Math.max(0, Math.floor(parsed.attempts || 0)),
-      hyperDrawWins: Math.max(0, Math.floor(parsed.hyperDrawWins || 0)),
-      hyperDrawV2Wins: Math.max(0, Math.floor(parsed.hyperDrawV2Wins || 0)),
-      hyperDrawV2XWins: Math.max(0, Math.floor(parsed.hyperDrawV2XWins || 0)),
-      ties: Math.max(0, Math.floor(parsed.ties || 0)),
-    };
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter(
+      (record) => record && typeof record.groupId === "string" && typeof record.keyHint === "string" && isEncryptedBlob(record.blob)
+    );
   } catch {
-    return { attempts: 0, hyperDrawWins: 0, hyperDrawV2Wins: 0, hyperDrawV2XWins: 0, ties: 0 };
+    return [];
   }
 }
 
-function saveCompareStats(stats) {
-  setStorageItem(COMPARE_STATS_STORAGE_KEY, JSON.stringify(stats));
+function saveGroupKeyRecords(records) {
+  setStorageItem(GROUP_KEYS_STORAGE_KEY, JSON.stringify(records));
 }
 
-function distance(a, b) {
-  let total = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    const d = a[i] - b[i];
-    total += d * d;
-  }
-  return Math.sqrt(total);
+async function groupKeyHintFor(rawKeyBytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", rawKeyBytes));
+  return `g${bytesToBase64(digest).slice(0, 21)}`;
 }
 
-function softmax(values) {
-  if (values.length === 0) return [];
-  const peak = Math.max(...values);
-  const exps = values.map((value) => Math.exp(value - peak));
-  const total = exps.reduce((sum, value) => sum + value, 0);
-  return exps.map((value) => value / total);
+function importRawKey(rawKeyBytes) {
+  return crypto.subtle.importKey("raw", rawKeyBytes, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
 }
 
-function boundingBox(vector) {
-  let minX = GRID_SIZE;
-  let maxX = -1;
-  let minY = GRID_SIZE;
-  let maxY = -1;
-
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      const value = vector[y * GRID_SIZE + x];
-      if (value <= 0.05) continue;
-      minX = Math.min(minX, x);
-      maxX = Math.max(maxX, x);
-      minY = Math.min(minY, y);
-      maxY = Math.max(maxY, y);
-    }
-  }
-
-  if (maxX < minX || maxY < minY) return null;
+// Group keys are random AES keys shared by invite. Locally they are only stored encrypted under the
+// personal passphrase key, and the server never sees them at all.
+async function storeGroupKey(cryptoContext, groupId, rawKeyBytes) {
+  const personal = cryptoContext.personal || cryptoContext;
+  const keyHint = await groupKeyHintFor(rawKeyBytes);
+  const blob = await encryptPayload({ groupId, raw: bytesToBase64(rawKeyBytes) }, personal, `group_${groupId}`);
+  saveGroupKeyRecords([...loadGroupKeyRecords().filter((record) => record.groupId !== groupId), { groupId, keyHint, blob }]);
+  setStorageItem(roomStorageKey(ACTIVE_GROUP_STORAGE_KEY), groupId);
+}
 
-  return { minX, maxX, minY, maxY };
+async function readGroupKeyBytes(cryptoContext, groupId) {
+  const personal = cryptoContext.personal || cryptoContext;
+  const record = loadGroupKeyRecords().find((item) => item.groupId === groupId && item.blob.keyHint === personal.keyHint);
+  if (!record) return null;
+  const payload = await decryptPayload(record.blob, personal.key);
+  return typeof payload?.raw === "string" ? base64ToBytes(payload.raw) : null;
 }
 
-function normalizeVector(vector) {
-  const box = boundingBox(vector);
-  if (!box) return vector;
+function loadRetiredKeyRecords() {
+  try {
+    const raw = getStorageItem(RETIRED_KEYS_STORAGE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((record) => record && typeof record.keyHint === "string" && isEncryptedBlob(record.blob));
+  } catch {
+    return [];
+  }
+}
 
-  const width = box.maxX - box.minX + 1;
-  const height = box.maxY - box.minY + 1;
-  const scale = Math.max(width, height);
+function saveRetiredKeyRecords(records) {
+  setStorageItem(RETIRED_KEYS_STORAGE_KEY, JSON.stringify(records));
+}
 
-  const output = new Array(vector.length).fill(0);
-  const offsetX = Math.floor((GRID_SIZE - scale) / 2);
-  const offsetY = Math.floor((GRID_SIZE - scale) / 2);
+// Group and retired key records are wrapped by a personal key. Only the ones wrapped by the current
+// personal key are used, so records left over from an interrupted rotation are ignored.
+async function unwrapKeyRecords(records, personal) {
+  const unwrapped = [];
+  for (const record of records) {
+    if (record.blob.keyHint !== personal.keyHint) continue;
+    const payload = await decryptPayload(record.blob, personal.key);
+    if (typeof payload?.raw !== "string") continue;
+    unwrapped.push({ ...record, rawKeyBytes: base64ToBytes(payload.raw) });
+  }
+  return unwrapped;
+}
 
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      const sourceX = box.minX + ((x - offsetX) / scale) * width;
-      const sourceY = box.minY + ((y - offsetY) / scale) * height;
-      const ix = Math.floor(sourceX);
-      const iy = Math.floor(sourceY);
+// Rotation runs in three storage writes: records re-wrapped for the new key are added next to the
+// old ones, the new config is saved, then the old wrappings are pruned. Stopping between any two
+// writes leaves a state that the old or the new passphrase can still open.
+async function changePassphrase(currentPassphrase, nextPassphrase) {
+  const config = loadCryptoConfig();
+  if (!config || (await passphraseKeyHint(currentPassphrase)) !== config.keyHint) {
+    throw new Error("Your current passphrase is not correct.");
+  }
+  const nextKeyHint = await passphraseKeyHint(nextPassphrase);
+  if (nextKeyHint === config.keyHint) throw new Error("Choose a passphrase you have not used here before.");
+
+  const oldKeyBytes = await deriveKeyBytes(currentPassphrase, base64ToBytes(config.salt));
+  const oldPersonal = { key: await importRawKey(oldKeyBytes), keyHint: config.keyHint };
+  const nextSaltBytes = crypto.getRandomValues(new Uint8Array(16));
+  const nextPersonal = { key: await deriveKeyFromSecret(nextPassphrase, nextSaltBytes), keyHint: nextKeyHint };
+
+  const retired = await unwrapKeyRecords(loadRetiredKeyRecords(), oldPersonal);
+  retired.push({ keyHint: config.keyHint, rawKeyBytes: oldKeyBytes });
+  const groups = await unwrapKeyRecords(loadGroupKeyRecords(), oldPersonal);
+
+  const rewrappedRetired = await Promise.all(retired.map(async ({ keyHint, rawKeyBytes }) => ({
+    keyHint,
+    blob: await encryptPayload({ raw: bytesToBase64(rawKeyBytes) }, nextPersonal, `retired_${keyHint}`),
+  })));
+  const rewrappedGroups = await Promise.all(groups.map(async ({ groupId, keyHint, rawKeyBytes }) => ({
+    groupId,
+    keyHint,
+    blob: await encryptPayload({ groupId, raw: bytesToBase64(rawKeyBytes) }, nextPersonal, `group_${groupId}`),
+  })));
+
+  saveRetiredKeyRecords([...loadRetiredKeyRecords(), ...rewrappedRetired]);
+  saveGroupKeyRecords([...loadGroupKeyRecords(), ...rewrappedGroups]);
+  saveCryptoConfig({ salt: bytesToBase64(nextSaltBytes), keyHint: nextKeyHint });
+  saveRetiredKeyRecords(loadRetiredKeyRecords().filter((record) => record.blob.keyHint === nextKeyHint));
+  saveGroupKeyRecords(loadGroupKeyRecords().filter((record) => record.blob.keyHint === nextKeyHint));
+
+  return loadCryptoKeyring(nextPersonal);
+}
+
+// Drawings in each room are re-encrypted the first time the room is opened after a rotation, and
+// when the room switches to a group key. The marker holds the key the room was last queued for and
+// is only written once the drawings are queued, so an interrupted rotation queues them again.
+// A reset stays pending until every synced room has been queued under the new key.
+function queueKeyRotation(cryptoContext, drawings, clientId) {
+  const resetPending = Boolean(getStorageItem(ENCRYPTION_RESET_STORAGE_KEY));
+  if (!cryptoContext.hasRetiredKeys && !cryptoContext.activeGroupId && !resetPending) return false;
+  const markerKey = roomStorageKey(KEY_ROTATION_STORAGE_KEY);
+  if (getStorageItem(markerKey) === cryptoContext.keyHint) return false;
+  enqueueOutboxDrawings(drawings.filter((item) => isUploadableDrawing(item, clientId)).map((item) => item.id));
+  setStorageItem(markerKey, cryptoContext.keyHint);
+
+  const personal = cryptoContext.personal || cryptoContext;
+  const rooms = resetPending ? listSyncedRooms() : null;
+  if (rooms?.every((room) => getStorageItem(roomStorageKey(KEY_ROTATION_STORAGE_KEY, room)) === roomEncryptionKeyHint(personal, room))) {
+    removeStorageItem(ENCRYPTION_RESET_STORAGE_KEY);
+  }
+  return true;
+}
 
-      if (ix < box.minX || ix > box.maxX || iy < box.minY || iy > box.maxY) continue;
+// The key new blobs in `room` use: the room's active group key, or the personal key.
+function roomEncryptionKeyHint(personal, room) {
+  const activeGroupId = getStorageItem(roomStorageKey(ACTIVE_GROUP_STORAGE_KEY, room));
+  const group = loadGroupKeyRecords().find((record) => record.groupId === activeGroupId && record.blob.keyHint === personal.keyHint);
+  return group ? group.keyHint : personal.keyHint;
+}
 
-      const value = vector[iy * GRID_SIZE + ix];
-      output[y * GRID_SIZE + x] = value > 0.05 ? value : 0;
+// Every room this browser has downloaded from, and so every room that can hold its uploads.
+// Returns null when storage cannot be listed, so callers never mistake that for "no rooms".
+function listSyncedRooms() {
+  const roomPrefix = `${SERVER_SYNC_REV_STORAGE_KEY}.room.`;
+  const rooms = new Set([CURRENT_ROOM]);
+  try {
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key === SERVER_SYNC_REV_STORAGE_KEY) rooms.add(DEFAULT_ROOM);
+      else if (key?.startsWith(roomPrefix)) rooms.add(key.slice(roomPrefix.length));
     }
+  } catch {
+    return null;
   }
+  return [...rooms];
+}
 
-  return output;
-}
-
-function sampleVectorBilinear(vector, x, y) {
-  if (x < 0 || x > GRID_SIZE - 1 || y < 0 || y > GRID_SIZE - 1) return 0;
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const x1 = Math.min(GRID_SIZE - 1, x0 + 1);
-  const y1 = Math.min(GRID_SIZE - 1, y0 + 1);
-  const dx = x - x0;
-  const dy = y - y0;
-
-  const v00 = vector[y0 * GRID_SIZE + x0] || 0;
-  const v10 = vector[y0 * GRID_SIZE + x1] || 0;
-  const v01 = vector[y1 * GRID_SIZE + x0] || 0;
-  const v11 = vector[y1 * GRID_SIZE + x1] || 0;
-
-  const top = v00 * (1 - dx) + v10 * dx;
-  const bottom = v01 * (1 - dx) + v11 * dx;
-  return top * (1 - dy) + bottom * dy;
-}
-
-function transformVector(vector, { translateX = 0, translateY = 0, angle = 0, scale = 1 } = {}) {
-  const center = (GRID_SIZE - 1) / 2;
-  const cos = Math.cos(angle);
-  const sin = Math.sin(angle);
-  const safeScale = Math.max(scale, 0.01);
-  const output = new Array(vector.length).fill(0);
-
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      const tx = x - center - translateX;
-      const ty = y - center - translateY;
-      const scaledX = tx / safeScale;
-      const scaledY = ty / safeScale;
-      const sourceX = center + (scaledX * cos + scaledY * sin);
-      const sourceY = center + (-scaledX * sin + scaledY * cos);
-      output[y * GRID_SIZE + x] = sampleVectorBilinear(vector, sourceX, sourceY);
-    }
+// Queues the author's records in this room that the server holds under any key other than the
+// room's current one (a retired passphrase key, or the personal key once a group is active),
+// including ones no longer on this device. Records that do not decrypt or verify are abandoned. A walk
+// that queues nothing and finds nothing still waiting for the server marks the room done, and a done
+// room is not walked again; once every synced room is done, the retired keys are dropped and the new
+// keyring is returned.
+async function rotateServerRecords(cryptoContext, clientId) {
+  const baseUrl = getServerBaseUrl();
+  const personal = cryptoContext.personal || cryptoContext;
+  const doneKey = roomStorageKey(KEY_ROTATION_DONE_STORAGE_KEY);
+  if (!baseUrl || getStorageItem(doneKey) === cryptoContext.keyHint) return null;
+
+  const cachedBlobs = await loadOutboxBlobs();
+  const queuedCurationIds = new Set(loadCurationOutbox().map((record) => record.id));
+  const stale = [];
+  let after = "0";
+  let hasMore = true;
+  while (hasMore) {
+    const page = await getDrawingsPage(
+      `${baseUrl}/api/drawings?room=${encodeURIComponent(CURRENT_ROOM)}&clientId=${encodeURIComponent(clientId)}&after=${encodeURIComponent(after)}&limit=${SERVER_DOWNLOAD_PAGE_SIZE}`
+    );
+    const entries = Array.isArray(page?.drawings) ? page.drawings : [];
+    stale.push(
+      ...entries.filter(
+        (item) => item && !item.deleted && item.keyHint !== cryptoContext.keyHint && cryptoContext.keyring.has(item.keyHint)
+      )
+    );
+    after = typeof page?.cursor === "string" ? page.cursor : after;
+    hasMore = Boolean(page?.hasMore) && entries.length > 0;
   }
 
-  return output;
-}
-
-function centroid(vector) {
-  let weight = 0;
-  let sumX = 0;
-  let sumY = 0;
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      const value = Math.max(0, vector[y * GRID_SIZE + x] || 0);
-      if (value <= 0.01) continue;
-      weight += value;
-      sumX += x * value;
-      sumY += y * value;
+  const signingKeys = loadKnownSigningKeys();
+  const blobs = {};
+  const curations = [];
+  let waiting = 0;
+  for (const item of stale) {
+    if (item.kind === "curation") {
+      if (queuedCurationIds.has(item.id)) {
+        waiting += 1;
+        continue;
+      }
+      const record = await decryptCurationEntry(item, cryptoContext);
+      if (record) curations.push(record);
+    } else if (cachedBlobs.get(item.id)?.keyHint === cryptoContext.keyHint) {
+      waiting += 1;
+    } else {
+      const drawing = await decryptDrawingEntry(item, cryptoContext, signingKeys);
+      if (drawing) blobs[item.id] = await encryptDrawingEntry(drawing, cryptoContext, clientId);
     }
   }
-
-  if (weight <= 0.0001) {
-    const mid = (GRID_SIZE - 1) / 2;
-    return { x: mid, y: mid };
+  await saveOutboxBlobs(Object.values(blobs));
+  enqueueOutboxDrawings(Object.keys(blobs));
+  if (curations.length) saveCurationOutbox([...loadCurationOutbox(), ...curations]);
+
+  if (waiting || curations.length || Object.keys(blobs).length) return null;
+  setStorageItem(doneKey, cryptoContext.keyHint);
+  const rooms = listSyncedRooms();
+  if (!cryptoContext.hasRetiredKeys || !rooms) return null;
+  if (rooms.some((room) => getStorageItem(roomStorageKey(KEY_ROTATION_DONE_STORAGE_KEY, room)) !== roomEncryptionKeyHint(personal, room))) {
+    return null;
   }
+  saveRetiredKeyRecords([]);
+  return loadCryptoKeyring(personal);
+}
 
-  return { x: sumX / weight, y: sumY / weight };
+// A keyring maps keyHint -> CryptoKey. Every blob names its keyHint, so decryption never has to guess.
+function createKeyring() {
+  return new Map();
 }
 
-function centroidForSize(vector, size) {
-  let weight = 0;
-  let sumX = 0;
-  let sumY = 0;
+function addKeyringKey(keyring, keyHint, key) {
+  if (typeof keyHint === "string" && keyHint && key && !keyring.has(keyHint)) keyring.set(keyHint, key);
+  return keyring;
+}
 
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = Math.max(0, vector[y * size + x] || 0);
-      if (value <= 0.01) continue;
-      weight += value;
-      sumX += x * value;
-      sumY += y * value;
-    }
+// Builds the context used for every encrypt/decrypt: `key`/`keyHint` encrypt new drawings (the room's
+// group key when one is active), and `keyring` holds every key we can decrypt with.
+async function loadCryptoKeyring(personal) {
+  const keyring = addKeyringKey(createKeyring(), personal.keyHint, personal.key);
+  const retired = await unwrapKeyRecords(loadRetiredKeyRecords(), personal);
+  for (const record of retired) {
+    addKeyringKey(keyring, record.keyHint, await importRawKey(record.rawKeyBytes));
   }
-
-  if (weight <= 0.0001) {
-    const mid = (size - 1) / 2;
-    return { x: mid, y: mid };
+  const groups = await unwrapKeyRecords(loadGroupKeyRecords(), personal);
+  for (const record of groups) {
+    addKeyringKey(keyring, record.keyHint, await importRawKey(record.rawKeyBytes));
   }
 
-  return { x: sumX / weight, y: sumY / weight };
+  const activeGroupId = getStorageItem(roomStorageKey(ACTIVE_GROUP_STORAGE_KEY));
+  const activeGroup = groups.find((group) => group.groupId === activeGroupId) || null;
+  return {
+    key: activeGroup ? keyring.get(activeGroup.keyHint) : personal.key,
+    keyHint: activeGroup ? activeGroup.keyHint : personal.keyHint,
+    keyring,
+    personal,
+    activeGroupId: activeGroup?.groupId || null,
+    hasRetiredKeys: retired.length > 0,
+    signing: await loadOrCreateSigningKeys().catch(() => null),
+  };
 }
 
-function buildLabelPrototypes(dataset) {
-  const grouped = dataset.reduce((acc, item) => {
-    if (!acc[item.label]) acc[item.label] = [];
-    acc[item.label].push(normalizeVector(item.vector));
-    return acc;
-  }, {});
+async function createGroupKey(cryptoContext) {
+  const groupId = randomId();
+  await storeGroupKey(cryptoContext, groupId, crypto.getRandomValues(new Uint8Array(32)));
+  return loadCryptoKeyring(cryptoContext.personal || cryptoContext);
+}
 
-  return Object.entries(grouped).reduce((acc, [label, vectors]) => {
-    const prototype = new Array(GRID_SIZE * GRID_SIZE).fill(0);
-    vectors.forEach((vector) => {
-      for (let i = 0; i < vector.length; i += 1) {
-        prototype[i] += vector[i];
-      }
-    });
+// An invite code carries the group key wrapped with a key derived from a separate invite password.
+async function createInviteCode(cryptoContext, invitePassword) {
+  const rawKeyBytes = await readGroupKeyBytes(cryptoContext, cryptoContext.activeGroupId);
+  if (!rawKeyBytes) throw new Error("Create or join a group key first.");
+  const saltBytes = crypto.getRandomValues(new Uint8Array(16));
+  const wrappingKey = await deriveKeyFromSecret(invitePassword, saltBytes);
+  const wrapped = await encryptPayload(
+    { groupId: cryptoContext.activeGroupId, raw: bytesToBase64(rawKeyBytes) },
+    { key: wrappingKey, keyHint: "" },
+    "invite"
+  );
+  const invite = { v: 1, salt: bytesToBase64(saltBytes), id: wrapped.id, iv: wrapped.iv, enc: wrapped.enc, ver: wrapped.ver };
+  return `${INVITE_CODE_PREFIX}${btoa(JSON.stringify(invite))}`;
+}
 
-    for (let i = 0; i < prototype.length; i += 1) {
-      prototype[i] /= vectors.length;
-    }
+async function joinGroupWithInvite(cryptoContext, inviteCode, invitePassword) {
+  const trimmed = `${inviteCode || ""}`.trim();
+  if (!trimmed.startsWith(INVITE_CODE_PREFIX)) throw new Error("That does not look like an invite code.");
 
-    acc[label] = prototype;
-    return acc;
-  }, {});
-}
+  let invite = null;
+  try {
+    invite = JSON.parse(atob(trimmed.slice(INVITE_CODE_PREFIX.length)));
+  } catch {
+    invite = null;
+  }
+  if (!invite || invite.v !== 1 || typeof invite.salt !== "string") throw new Error("That invite code is damaged.");
 
-function weightedDistance(a, b, weightFn) {
-  let total = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    const d = a[i] - b[i];
-    total += d * d * weightFn(i);
+  const wrappingKey = await deriveKeyFromSecret(invitePassword, base64ToBytes(invite.salt));
+  const payload = await decryptPayload(invite, wrappingKey);
+  if (typeof payload?.groupId !== "string" || typeof payload?.raw !== "string") {
+    throw new Error("Wrong invite password, or the invite code is damaged.");
   }
-  return Math.sqrt(total);
-}
 
-function binarizeVector(vector, threshold = 0.2) {
-  return vector.map((value) => (value >= threshold ? 1 : 0));
+  await storeGroupKey(cryptoContext, payload.groupId, base64ToBytes(payload.raw));
+  return loadCryptoKeyring(cryptoContext.personal || cryptoContext);
 }
 
-function rotateVector90(vector) {
-  const output = new Array(vector.length).fill(0);
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      output[x * GRID_SIZE + (GRID_SIZE - 1 - y)] = vector[y * GRID_SIZE + x];
-    }
-  }
-  return output;
+// v2 blobs authenticate their envelope: moving `enc`/`iv` to another id or author fails to decrypt.
+function blobAssociatedData(id, clientId, ver) {
+  return new TextEncoder().encode(JSON.stringify(["yourdrawingssuckai", ver, `${id || ""}`, `${clientId || ""}`]));
 }
 
-function generateRotations(vector) {
-  const rot0 = vector;
-  const rot90 = rotateVector90(rot0);
-  const rot180 = rotateVector90(rot90);
-  const rot270 = rotateVector90(rot180);
-  return [rot0, rot90, rot180, rot270];
+// `clientId` is the author the envelope claims. Server records carry it; local records use "".
+async function decryptPayload(encryptedEntry, key) {
+  const ver = encryptedEntry.ver === undefined ? 1 : encryptedEntry.ver;
+  if (ver !== 1 && ver !== BLOB_FORMAT_VERSION) return null;
+  const params = { name: "AES-GCM", iv: base64ToBytes(encryptedEntry.iv) };
+  if (ver === BLOB_FORMAT_VERSION) {
+    params.additionalData = blobAssociatedData(encryptedEntry.id, encryptedEntry.clientId, ver);
+  }
+  try {
+    const plaintextBytes = await crypto.subtle.decrypt(params, key, base64ToBytes(encryptedEntry.enc));
+    return JSON.parse(new TextDecoder().decode(plaintextBytes));
+  } catch {
+    return null;
+  }
 }
 
-function flipVectorHorizontal(vector) {
-  const output = new Array(vector.length).fill(0);
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      output[y * GRID_SIZE + (GRID_SIZE - 1 - x)] = vector[y * GRID_SIZE + x];
-    }
+// The server stamps uploads with the uploader's clientId, so that is the author bound into the blob.
+async function encryptDrawingEntry(entry, cryptoContext, uploaderClientId) {
+  const payload = {
+    id: entry.id,
+    label: entry.label,
+    vector: encodeVector(entry.vector),
+    ts: entry.ts,
+    authorName: entry.authorName,
+    clientId: uploaderClientId,
+  };
+  if (entry.strokes) payload.strokes = entry.strokes;
+  if (cryptoContext.signing) {
+    const signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      cryptoContext.signing.privateKey,
+      drawingSignatureData(payload)
+    );
+    payload.sig = bytesToBase64(new Uint8Array(signature));
   }
-  return output;
-}
-
-function generateTransformVariants(vector) {
-  const rotations = generateRotations(vector);
-  const flipped = flipVectorHorizontal(vector);
-  return [...rotations, ...generateRotations(flipped)];
-}
-
-function scoreTransformInvariantModel(inputVector, dataset, options = {}) {
-  const {
-    k = 15,
-    distanceFloor = 0.02,
-    normalizeDataset = true,
-    featureWeight = 0.3,
-    centerWeightPower = 0,
-  } = options;
-
-  const inputNorm = normalizeVector(inputVector);
-  const inputFeatures = extractLineFeatures(inputNorm).compact;
-  const inputCandidates = generateTransformVariants(inputNorm);
-
-  const scored = dataset.map((item) => {
-    const base = normalizeDataset ? normalizeVector(item.vector) : item.vector;
-    const candidates = generateTransformVariants(base);
-
-    const bestDistance = inputCandidates.reduce((bestInput, inputCandidate) => {
-      const bestForInput = candidates.reduce((bestCandidate, candidate) => {
-        let d = distance(inputCandidate, candidate) / Math.sqrt(inputVector.length);
-        if (centerWeightPower > 0) {
-          const box = boundingBox(candidate);
-          if (box) {
-            const cx = (box.minX + box.maxX) / 2;
-            const cy = (box.minY + box.maxY) / 2;
-            const centerDx = Math.abs(cx - (GRID_SIZE - 1) / 2) / (GRID_SIZE / 2);
-            const centerDy = Math.abs(cy - (GRID_SIZE - 1) / 2) / (GRID_SIZE / 2);
-            const centerPenalty = Math.pow((centerDx + centerDy) / 2, centerWeightPower);
-            d *= 1 + centerPenalty * 0.2;
-          }
-        }
-        return Math.min(bestCandidate, d);
-      }, Number.POSITIVE_INFINITY);
-      return Math.min(bestInput, bestForInput);
-    }, Number.POSITIVE_INFINITY);
-
-    const candidateFeatures = extractLineFeatures(base).compact;
-    const lineDistance = featureDistance(inputFeatures, candidateFeatures);
-    const blendedDistance = bestDistance * (1 - featureWeight) + lineDistance * featureWeight;
+  return encryptPayload(payload, cryptoContext, entry.id, uploaderClientId);
+}
 
-    return {
-      label: item.label,
-      distance: blendedDistance,
-      rawDistance: bestDistance,
-    };
-  });
+async function encryptPayload(payload, cryptoContext, id = randomId(), clientId = "") {
+  const ivBytes = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = JSON.stringify(payload);
 
-  const ranked = scored.sort((a, b) => a.distance - b.distance);
-  const vote = voteByInverseDistance(
-    ranked.map((entry) => ({
-      label: entry.label,
-      distance: Math.max(distanceFloor, entry.distance),
-    })),
-    k
+  const encrypted = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv: ivBytes, additionalData: blobAssociatedData(id, clientId, BLOB_FORMAT_VERSION) },
+    cryptoContext.key,
+    new TextEncoder().encode(plaintext)
   );
 
-  const nearest = ranked[0] || { label: "unknown", rawDistance: 1 };
-
   return {
-    label: vote.label,
-    confidence: vote.confidence,
-    nearestLabel: nearest.label,
-    nearestConfidence: Math.round((1 - Math.min(1, nearest.rawDistance)) * 100),
+    id,
+    iv: bytesToBase64(ivBytes),
+    enc: bytesToBase64(new Uint8Array(encrypted)),
+    ver: BLOB_FORMAT_VERSION,
+    keyHint: cryptoContext.keyHint,
   };
 }
 
-function extractLineFeatures(vector) {
-  const norm = normalizeVector(vector);
-  const binary = binarizeVector(norm, 0.25);
-  const rowSums = new Array(GRID_SIZE).fill(0);
-  const colSums = new Array(GRID_SIZE).fill(0);
-  let hTransitions = 0;
-  let vTransitions = 0;
-  let d1Transitions = 0;
-  let d2Transitions = 0;
-  let active = 0;
-  let cx = 0;
-  let cy = 0;
-
-  for (let y = 0; y < GRID_SIZE; y += 1) {
-    for (let x = 0; x < GRID_SIZE; x += 1) {
-      const index = y * GRID_SIZE + x;
-      const value = binary[index];
-      rowSums[y] += value;
-      colSums[x] += value;
-      active += value;
-      cx += value * x;
-      cy += value * y;
-
-      if (x < GRID_SIZE - 1 && value !== binary[index + 1]) hTransitions += 1;
-      if (y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE]) vTransitions += 1;
-      if (x < GRID_SIZE - 1 && y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE + 1]) d1Transitions += 1;
-      if (x > 0 && y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE - 1]) d2Transitions += 1;
-    }
+// Blobs encrypted with a key we do not hold (another player's personal key) are skipped without a decrypt attempt.
+function keyForBlob(encryptedEntry, cryptoContext) {
+  if (cryptoContext.keyring) return cryptoContext.keyring.get(encryptedEntry.keyHint) || null;
+  return encryptedEntry.keyHint === cryptoContext.keyHint ? cryptoContext.key : null;
+}
+
+// `verified` is true only when the payload carries a signature by one of the author's published keys.
+// A signature that does not match them is dropped. Unsigned payloads (saved before signing existed) and
+// authors without keys stay unverified, since anyone holding the room key could have written them.
+async function decryptDrawingEntry(encryptedEntry, cryptoContext, signingKeys = {}) {
+  const key = keyForBlob(encryptedEntry, cryptoContext);
+  if (!key) return null;
+  const parsed = await decryptPayload(encryptedEntry, key);
+  const vector = decodeVector(parsed?.vector);
+  if (!parsed || typeof parsed.label !== "string" || !vector || typeof parsed.ts !== "number") return null;
+
+  // v1 blobs have no associated data, so at least the encrypted copy of the envelope has to agree.
+  const envelopeClientId = typeof encryptedEntry.clientId === "string" ? encryptedEntry.clientId : "";
+  const payloadClientId = typeof parsed.clientId === "string" ? parsed.clientId : "";
+  if (typeof parsed.id === "string" && parsed.id !== encryptedEntry.id) return null;
+  if (envelopeClientId && payloadClientId && payloadClientId !== envelopeClientId) return null;
+
+  const authorKeys = Array.isArray(signingKeys[envelopeClientId || payloadClientId]) ? signingKeys[envelopeClientId || payloadClientId] : [];
+  const strokes = normalizeStrokeRecord(parsed.strokes);
+  let verified = false;
+  if (authorKeys.length && typeof parsed.sig === "string") {
+    verified = await verifyDrawingSignature(parsed, authorKeys);
+    if (!verified) return null;
   }
 
-  const safeActive = Math.max(active, 1);
-  const centerX = cx / safeActive / GRID_SIZE;
-  const centerY = cy / safeActive / GRID_SIZE;
-
-  const transitions = [hTransitions, vTransitions, d1Transitions, d2Transitions].map((v) => v / (GRID_SIZE * GRID_SIZE));
-  const rowProfile = rowSums.map((value) => value / GRID_SIZE);
-  const colProfile = colSums.map((value) => value / GRID_SIZE);
-
   return {
-    binary,
-    full: [...transitions, active / (GRID_SIZE * GRID_SIZE), centerX, centerY, ...rowProfile, ...colProfile],
-    compact: [...transitions, active / (GRID_SIZE * GRID_SIZE), centerX, centerY],
-    profileOnly: [...rowProfile, ...colProfile],
+    id: encryptedEntry.id,
+    label: parsed.label,
+    vector,
+    ts: parsed.ts,
+    authorName: typeof parsed.authorName === "string" ? parsed.authorName : "anonymous",
+    clientId: envelopeClientId || payloadClientId,
+    verified,
+    ...(strokes ? { strokes } : {}),
   };
 }
 
-function featureDistance(a, b) {
-  let total = 0;
-  for (let i = 0; i < a.length; i += 1) {
-    const d = a[i] - b[i];
-    total += d * d;
-  }
-  return Math.sqrt(total / Math.max(1, a.length));
+// Curation records are encrypted with the room's current key, like drawings, so the server never
+// learns labels; `kind` stays in the clear so it can tell them apart from drawings.
+async function encryptCurationRecord(record, cryptoContext, clientId) {
+  const { by, ...payload } = record;
+  const blob = await encryptPayload({ ...payload, kind: "curation" }, cryptoContext, record.id, clientId);
+  return { ...blob, kind: "curation" };
 }
 
-function voteFeatureKnn(featureInput, dataset, featureSelector, k) {
-  const scored = dataset
-    .map((item) => ({
-      label: item.label,
-      distance: featureDistance(featureInput, featureSelector(extractLineFeatures(item.vector))),
-    }))
-    .sort((a, b) => a.distance - b.distance);
-
-  return voteByInverseDistance(scored, k);
+async function decryptCurationEntry(encryptedEntry, cryptoContext) {
+  const key = keyForBlob(encryptedEntry, cryptoContext);
+  if (!key) return null;
+  const parsed = await decryptPayload(encryptedEntry, key);
+  if (!parsed || parsed.kind !== "curation" || parsed.id !== encryptedEntry.id) return null;
+  return normalizeCurationRecord({ ...parsed, by: typeof encryptedEntry.clientId === "string" ? encryptedEntry.clientId : "" });
 }
 
-function voteByInverseDistance(scoredExamples, k) {
-  const topK = scoredExamples.slice(0, Math.min(k, scoredExamples.length));
-  const labelScores = topK.reduce((acc, item) => {
-    const vote = 1 / Math.max(item.distance, 0.001);
-    acc[item.label] = (acc[item.label] || 0) + vote;
-    return acc;
-  }, {});
-
-  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
-  const [label = "unknown"] = ranked[0] || [];
-  const probabilities = softmax(ranked.map(([, value]) => value));
-  const confidence = Math.round((probabilities[0] || 0) * 100);
-  return { label, confidence };
+async function fetchPublicIpAddress() {
+  try {
+    const response = await fetch("https://api.ipify.org?format=json", { cache: "no-store" });
+    if (!response.ok) throw new Error("ip fetch failed");
+    const data = await response.json();
+    if (typeof data?.ip !== "string" || !data.ip.trim()) throw new Error("missing ip");
+    return data.ip.trim();
+  } catch {
+    return "unknown";
+  }
 }
 
-function resizeVector(vector, fromSize, toSize) {
-  if (fromSize === toSize) return [...vector];
+function getServerBaseUrl() {
+  const configured =
+    (typeof window !== "undefined" && window.__YDS_SERVER_URL__) ||
+    getStorageItem(SERVER_URL_STORAGE_KEY) ||
+    "";
+  return configured.trim().replace(/\/$/, "");
+}
 
-  const output = new Array(toSize * toSize).fill(0);
-  for (let y = 0; y < toSize; y += 1) {
-    const sourceY = Math.min(fromSize - 1, Math.floor((y / Math.max(1, toSize - 1)) * (fromSize - 1)));
-    for (let x = 0; x < toSize; x += 1) {
-      const sourceX = Math.min(fromSize - 1, Math.floor((x / Math.max(1, toSize - 1)) * (fromSize - 1)));
-      output[y * toSize + x] = vector[sourceY * fromSize + sourceX] || 0;
+function loadUserProfile() {
+  try {
+    const raw = getStorageItem(USER_PROFILE_STORAGE_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed.clientId === "string" && typeof parsed.name === "string" && parsed.name.trim()) {
+        return parsed;
+      }
     }
+  } catch {
+    // Use fallback profile creation.
   }
-  return output;
-}
 
-function boundingBoxForSize(vector, size) {
-  let minX = size;
-  let maxX = -1;
-  let minY = size;
-  let maxY = -1;
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = vector[y * size + x];
-      if (value <= 0.05) continue;
-      minX = Math.min(minX, x);
-      maxX = Math.max(maxX, x);
-      minY = Math.min(minY, y);
-      maxY = Math.max(maxY, y);
-    }
+  let nextName = "";
+  while (!nextName.trim()) {
+    const entered = window.prompt("Please enter a name") || "";
+    nextName = entered.trim();
   }
 
-  if (maxX < minX || maxY < minY) return null;
-  return { minX, maxX, minY, maxY };
+  const profile = { clientId: randomId(), name: nextName };
+  setStorageItem(USER_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  return profile;
 }
 
-function normalizeVectorForSize(vector, size) {
-  const box = boundingBoxForSize(vector, size);
-  if (!box) return vector;
-
-  const width = box.maxX - box.minX + 1;
-  const height = box.maxY - box.minY + 1;
-  const scale = Math.max(width, height);
-  const output = new Array(size * size).fill(0);
-  const offsetX = Math.floor((size - scale) / 2);
-  const offsetY = Math.floor((size - scale) / 2);
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const sourceX = box.minX + ((x - offsetX) / scale) * width;
-      const sourceY = box.minY + ((y - offsetY) / scale) * height;
-      const ix = Math.floor(sourceX);
-      const iy = Math.floor(sourceY);
-      if (ix < box.minX || ix > box.maxX || iy < box.minY || iy > box.maxY) continue;
-      const value = vector[iy * size + ix];
-      output[y * size + x] = value > 0.05 ? value : 0;
-    }
-  }
+async function postJson(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload),
+  });
 
-  return output;
+  if (!response.ok) throw await createServerError(response);
+  return response.json();
 }
 
-function rotateVector90ForSize(vector, size) {
-  const output = new Array(vector.length).fill(0);
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      output[x * size + (size - 1 - y)] = vector[y * size + x];
-    }
+async function createServerError(response) {
+  const error = new Error(`Server error (${response.status})`);
+  error.status = response.status;
+  try {
+    error.details = await response.json();
+  } catch {
+    error.details = null;
   }
-  return output;
+  return error;
 }
 
-function generateTransformVariantsForSize(vector, size) {
-  const rot0 = vector;
-  const rot90 = rotateVector90ForSize(rot0, size);
-  const rot180 = rotateVector90ForSize(rot90, size);
-  const rot270 = rotateVector90ForSize(rot180, size);
-  const flipped = new Array(vector.length).fill(0);
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      flipped[y * size + (size - 1 - x)] = vector[y * size + x];
-    }
+// Only errors the player can act on get a message; network failures stay silent because the app works offline.
+function describeSyncError(error) {
+  if (error?.status === 429) {
+    const retryAfter = Number(error.details?.retryAfterSeconds) || 60;
+    return `The sync server is busy (too many requests). Drawings stay on this device; retrying in about ${retryAfter}s.`;
   }
-
-  const flipped90 = rotateVector90ForSize(flipped, size);
-  const flipped180 = rotateVector90ForSize(flipped90, size);
-  const flipped270 = rotateVector90ForSize(flipped180, size);
-
-  return [rot0, rot90, rot180, rot270, flipped, flipped90, flipped180, flipped270];
+  if (error?.status === 413) return "That upload was too large for the sync server. Drawings stay on this device.";
+  if (error?.status === 409) return error.message;
+  return "";
 }
 
-function sampleBilinear(vector, size, x, y) {
-  if (x < 0 || y < 0 || x > size - 1 || y > size - 1) return 0;
-
-  const x0 = Math.floor(x);
-  const y0 = Math.floor(y);
-  const x1 = Math.min(size - 1, x0 + 1);
-  const y1 = Math.min(size - 1, y0 + 1);
-  const tx = x - x0;
-  const ty = y - y0;
-
-  const a = vector[y0 * size + x0] || 0;
-  const b = vector[y0 * size + x1] || 0;
-  const c = vector[y1 * size + x0] || 0;
-  const d = vector[y1 * size + x1] || 0;
-
-  const top = a * (1 - tx) + b * tx;
-  const bottom = c * (1 - tx) + d * tx;
-  return top * (1 - ty) + bottom * ty;
+// The server refuses single drawings over the author's quota, beyond the room's cap, or whose id another
+// author already holds. They are dropped from the outbox, so they stay on this device only.
+function describeRejectedUploads(rejected) {
+  const quota = rejected.filter((entry) => entry?.reason === "quota").length;
+  const roomFull = rejected.filter((entry) => entry?.reason === "room-full").length;
+  const notOwner = rejected.filter((entry) => entry?.reason === "not-owner").length;
+  if (quota) return `Server drawing quota reached: ${quota} drawing${quota === 1 ? "" : "s"} stay on this device only.`;
+  if (roomFull) return `This room is full on the server: ${roomFull} drawing${roomFull === 1 ? "" : "s"} stay on this device only.`;
+  if (notOwner) return `${notOwner} drawing${notOwner === 1 ? "" : "s"} could not be uploaded because another player owns that id on the server.`;
+  return "";
 }
 
-function canonicalizeByMoments(vector, size = GRID_SIZE, r0 = 9) {
-  let m00 = 0;
-  let xSum = 0;
-  let ySum = 0;
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const w = vector[y * size + x] || 0;
-      m00 += w;
-      xSum += x * w;
-      ySum += y * w;
-    }
-  }
-
-  if (m00 < 1e-4) return [...vector];
-
-  const centroidX = xSum / m00;
-  const centroidY = ySum / m00;
-
-  let mu20 = 0;
-  let mu02 = 0;
-  let mu11 = 0;
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const w = vector[y * size + x] || 0;
-      const u = x - centroidX;
-      const v = y - centroidY;
-      mu20 += u * u * w;
-      mu02 += v * v * w;
-      mu11 += u * v * w;
-    }
-  }
-
-  const theta = 0.5 * Math.atan2(2 * mu11, mu20 - mu02);
-  const radius = Math.sqrt((mu20 + mu02) / Math.max(m00, 1e-6));
-  const scale = r0 / Math.max(radius, 1e-4);
-  const cosT = Math.cos(theta);
-  const sinT = Math.sin(theta);
-  const center = (size - 1) / 2;
-
-  const output = new Array(size * size).fill(0);
-  for (let yo = 0; yo < size; yo += 1) {
-    for (let xo = 0; xo < size; xo += 1) {
-      const px = xo - center;
-      const py = yo - center;
-      const invX = px / scale;
-      const invY = py / scale;
-      const srcX = cosT * invX - sinT * invY + centroidX;
-      const srcY = sinT * invX + cosT * invY + centroidY;
-      output[yo * size + xo] = sampleBilinear(vector, size, srcX, srcY);
-    }
+// Tokens are per server and per clientId, so switching servers or profiles never sends the wrong secret.
+function loadClientTokens() {
+  try {
+    const raw = getStorageItem(CLIENT_TOKENS_STORAGE_KEY);
+    if (!raw) return {};
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
   }
-
-  return output;
 }
 
-function blur3x3(vector, size) {
-  const output = new Array(size * size).fill(0);
-  const kernel = [1, 2, 1];
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      let total = 0;
-      let weight = 0;
-
-      for (let ky = -1; ky <= 1; ky += 1) {
-        for (let kx = -1; kx <= 1; kx += 1) {
-          const sx = x + kx;
-          const sy = y + ky;
-          if (sx < 0 || sy < 0 || sx >= size || sy >= size) continue;
-          const w = kernel[kx + 1] * kernel[ky + 1];
-          total += (vector[sy * size + sx] || 0) * w;
-          weight += w;
-        }
-      }
-
-      output[y * size + x] = total / Math.max(1, weight);
-    }
-  }
-
-  return output;
+function saveClientToken(baseUrl, clientId, token) {
+  const tokens = loadClientTokens();
+  const tokenKey = `${baseUrl} ${clientId}`;
+  if (token) tokens[tokenKey] = token;
+  else delete tokens[tokenKey];
+  setStorageItem(CLIENT_TOKENS_STORAGE_KEY, JSON.stringify(tokens));
 }
 
-function sobelEdges(vector, size, threshold = 0.14) {
-  const edges = new Array(size * size).fill(0);
+async function getClientToken(baseUrl, profile) {
+  const stored = loadClientTokens()[`${baseUrl} ${profile.clientId}`];
+  if (typeof stored === "string" && stored) return stored;
 
-  for (let y = 1; y < size - 1; y += 1) {
-    for (let x = 1; x < size - 1; x += 1) {
-      const p = (dx, dy) => vector[(y + dy) * size + (x + dx)] || 0;
-      const gx = -p(-1, -1) + p(1, -1) - 2 * p(-1, 0) + 2 * p(1, 0) - p(-1, 1) + p(1, 1);
-      const gy = p(-1, -1) + 2 * p(0, -1) + p(1, -1) - p(-1, 1) - 2 * p(0, 1) - p(1, 1);
-      const mag = Math.sqrt(gx * gx + gy * gy);
-      if (mag > threshold) edges[y * size + x] = 1;
-    }
+  try {
+    const data = await postJson(`${baseUrl}/api/register`, { clientId: profile.clientId });
+    if (typeof data?.token !== "string") throw new Error("Server did not return a client token.");
+    saveClientToken(baseUrl, profile.clientId, data.token);
+    return data.token;
+  } catch (error) {
+    if (error.status !== 409) throw error;
+    const conflict = new Error("The sync server refused this player id, and a new one could not be registered.");
+    conflict.status = 409;
+    throw conflict;
   }
-
-  return edges;
 }
 
-function distanceTransformChamfer(edgeMap, size) {
-  const INF = 1e6;
-  const dt = edgeMap.map((v) => (v > 0 ? 0 : INF));
-  const sqrt2 = Math.SQRT2;
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const i = y * size + x;
-      let best = dt[i];
-      if (x > 0) best = Math.min(best, dt[i - 1] + 1);
-      if (y > 0) best = Math.min(best, dt[i - size] + 1);
-      if (x > 0 && y > 0) best = Math.min(best, dt[i - size - 1] + sqrt2);
-      if (x < size - 1 && y > 0) best = Math.min(best, dt[i - size + 1] + sqrt2);
-      dt[i] = best;
-    }
-  }
+async function postAuthenticated(baseUrl, pathname, profile, payload) {
+  const send = async () => {
+    const token = await getClientToken(baseUrl, profile);
+    return postJson(`${baseUrl}${pathname}`, payload, { Authorization: `Bearer ${token}` });
+  };
 
-  for (let y = size - 1; y >= 0; y -= 1) {
-    for (let x = size - 1; x >= 0; x -= 1) {
-      const i = y * size + x;
-      let best = dt[i];
-      if (x < size - 1) best = Math.min(best, dt[i + 1] + 1);
-      if (y < size - 1) best = Math.min(best, dt[i + size] + 1);
-      if (x < size - 1 && y < size - 1) best = Math.min(best, dt[i + size + 1] + sqrt2);
-      if (x > 0 && y < size - 1) best = Math.min(best, dt[i + size - 1] + sqrt2);
-      dt[i] = best;
-    }
+  try {
+    return await send();
+  } catch (error) {
+    if (error.status !== 401) throw error;
+    // The server may have lost its credentials (for example a restored backup): register again once.
+    saveClientToken(baseUrl, profile.clientId, null);
+    return send();
   }
+}
 
-  return dt;
+async function getJson(url) {
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) throw await createServerError(response);
+  return response.json();
 }
 
-function chamferDistance(edgeA, dtB, edgeB, dtA) {
-  let sumA = 0;
-  let countA = 0;
-  for (let i = 0; i < edgeA.length; i += 1) {
-    if (edgeA[i] > 0) {
-      sumA += dtB[i];
-      countA += 1;
-    }
-  }
+function yieldToBrowser() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
 
-  let sumB = 0;
-  let countB = 0;
-  for (let i = 0; i < edgeB.length; i += 1) {
-    if (edgeB[i] > 0) {
-      sumB += dtA[i];
-      countB += 1;
-    }
+async function decryptDrawingBatch(encryptedEntries, cryptoContext, signingKeys) {
+  const decrypted = [];
+  const usable = encryptedEntries.filter((item) => item && typeof item.enc === "string" && typeof item.iv === "string");
+  for (let start = 0; start < usable.length; start += DECRYPT_BATCH_SIZE) {
+    const batch = await Promise.all(
+      usable.slice(start, start + DECRYPT_BATCH_SIZE).map((item) => decryptDrawingEntry(item, cryptoContext, signingKeys))
+    );
+    decrypted.push(...batch.filter(Boolean));
+    await yieldToBrowser();
   }
+  return decrypted;
+}
 
-  const aTerm = countA > 0 ? sumA / countA : 0;
-  const bTerm = countB > 0 ? sumB / countB : 0;
-  return aTerm + bTerm;
+function isEncryptedBlob(value) {
+  return Boolean(
+    value &&
+    typeof value.id === "string" &&
+    typeof value.enc === "string" &&
+    typeof value.iv === "string" &&
+    typeof value.ver === "number"
+  );
 }
 
-function hogLite(vector, size, bins = 8) {
-  const hist = new Array(bins).fill(0);
-  for (let y = 1; y < size - 1; y += 1) {
-    for (let x = 1; x < size - 1; x += 1) {
-      const gx = (vector[y * size + (x + 1)] || 0) - (vector[y * size + (x - 1)] || 0);
-      const gy = (vector[(y + 1) * size + x] || 0) - (vector[(y - 1) * size + x] || 0);
-      const mag = Math.sqrt(gx * gx + gy * gy);
-      if (mag < 1e-6) continue;
-      const angle = Math.atan2(gy, gx);
-      const t = ((angle + Math.PI) / (2 * Math.PI)) * bins;
-      const idx = Math.min(bins - 1, Math.max(0, Math.floor(t)));
-      hist[idx] += mag;
-    }
+// The outbox is the list of drawing ids the server has not acknowledged yet. It stays small in
+// localStorage; the encrypted blob cached for each id lives in IndexedDB (store `outbox`).
+function loadSyncOutbox() {
+  try {
+    const raw = getStorageItem(roomStorageKey(SERVER_SYNC_OUTBOX_STORAGE_KEY));
+    if (!raw) return new Set();
+    const parsed = JSON.parse(raw);
+    // Older builds stored an { id: blob } map here; loadOutboxBlobs moves the blobs out of it.
+    const ids = Array.isArray(parsed) ? parsed : parsed && typeof parsed === "object" ? Object.keys(parsed) : [];
+    return new Set(ids.filter((id) => typeof id === "string"));
+  } catch {
+    return new Set();
   }
-
-  const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
-  return hist.map((value) => value / (norm + 1e-6));
 }
 
-function distanceAlgo28(inputFeatures, sampleFeatures, options = {}) {
-  const { alpha = 0.35, beta = 0.45, gamma = 0.2 } = options;
-  const n = Math.max(1, inputFeatures.blurred.length);
-  const k = Math.max(1, inputFeatures.hog.length);
+function saveSyncOutbox(ids) {
+  if (setStorageItem(roomStorageKey(SERVER_SYNC_OUTBOX_STORAGE_KEY), JSON.stringify([...ids]))) return;
+  outboxStore.onWriteFailed?.();
+}
 
-  let pixSum = 0;
-  for (let i = 0; i < inputFeatures.blurred.length; i += 1) {
-    const d = inputFeatures.blurred[i] - sampleFeatures.blurred[i];
-    pixSum += d * d;
-  }
-  const dPix = Math.sqrt(pixSum / n);
+function getPendingDrawingIds() {
+  return loadSyncOutbox();
+}
 
-  const dCh = chamferDistance(inputFeatures.edge, sampleFeatures.dt, sampleFeatures.edge, inputFeatures.dt) / Math.max(1, inputFeatures.size);
+// Imported drawings stay on this device, even ones that carry our clientId (a re-imported export).
+function isUploadableDrawing(item, clientId) {
+  return item.clientId === clientId && item.source !== "import";
+}
 
-  let hogSum = 0;
-  for (let i = 0; i < inputFeatures.hog.length; i += 1) {
-    const d = inputFeatures.hog[i] - sampleFeatures.hog[i];
-    hogSum += d * d;
-  }
-  const dHog = Math.sqrt(hogSum / k);
+function enqueueOutboxDrawings(ids) {
+  const outbox = loadSyncOutbox();
+  const before = outbox.size;
+  ids.forEach((id) => {
+    if (typeof id === "string") outbox.add(id);
+  });
+  if (outbox.size !== before) saveSyncOutbox(outbox);
+}
 
-  return alpha * dPix + beta * dCh + gamma * dHog;
+function updateOutbox(updater) {
+  // Always re-read so drawings queued while a sync was in flight are never dropped.
+  const outbox = loadSyncOutbox();
+  updater(outbox);
+  saveSyncOutbox(outbox);
 }
 
-function buildAlgo28VariantFeatures(baseCanonical, size) {
-  return generateTransformVariantsForSize(baseCanonical, size).map((variant) => {
-    const blurred = blur3x3(variant, size);
-    const edge = sobelEdges(variant, size, 0.14);
-    const dt = distanceTransformChamfer(edge, size);
-    const hog = hogLite(variant, size, 8);
-    return { size, blurred, edge, dt, hog };
+function dropOutboxDrawings(ids) {
+  updateOutbox((latest) => {
+    ids.forEach((id) => latest.delete(id));
   });
+  return deleteOutboxBlobs(ids);
 }
 
-function scoreAlgo28(input, dataset16, options = {}) {
-  const { k = 21, distanceFloor = 0.01, targetRadius = 9 } = options;
-  const size = GRID_SIZE;
-  const inputCanonical = canonicalizeByMoments(input, size, targetRadius);
-  const inputVariants = buildAlgo28VariantFeatures(inputCanonical, size);
+// Without IndexedDB, blobs are cached in memory and encrypted again after a reload.
+async function loadOutboxBlobs() {
+  await migrateLegacyOutbox();
+  try {
+    const range = IDBKeyRange.bound([CURRENT_ROOM], [CURRENT_ROOM, []]);
+    const records = await runAppDatabase(OUTBOX_BLOB_STORE, "readonly", (store) => store.getAll(range));
+    return new Map(records.filter((record) => isEncryptedBlob(record?.blob)).map((record) => [record.id, record.blob]));
+  } catch {
+    return new Map(outboxStore.blobs);
+  }
+}
 
-  const scored = dataset16.map((item) => {
-    const sampleCanonical = canonicalizeByMoments(item.vector, size, targetRadius);
-    const sampleVariants = buildAlgo28VariantFeatures(sampleCanonical, size);
-    let bestDistance = Number.POSITIVE_INFINITY;
+async function migrateLegacyOutbox() {
+  let legacy = null;
+  try {
+    legacy = JSON.parse(getStorageItem(roomStorageKey(SERVER_SYNC_OUTBOX_STORAGE_KEY)));
+  } catch {
+    return;
+  }
+  if (!legacy || typeof legacy !== "object" || Array.isArray(legacy)) return;
+  await saveOutboxBlobs(Object.values(legacy).filter(isEncryptedBlob));
+  saveSyncOutbox(loadSyncOutbox());
+}
 
-    inputVariants.forEach((inVariant) => {
-      sampleVariants.forEach((sampleVariant) => {
-        bestDistance = Math.min(bestDistance, distanceAlgo28(inVariant, sampleVariant));
-      });
+async function saveOutboxBlobs(blobs) {
+  if (!blobs.length) return;
+  try {
+    await runAppDatabase(OUTBOX_BLOB_STORE, "readwrite", (store) => {
+      blobs.forEach((blob) => store.put({ room: CURRENT_ROOM, id: blob.id, blob }));
     });
-
-    return { label: item.label, distance: bestDistance };
-  }).sort((a, b) => a.distance - b.distance);
-
-  return voteByInverseDistance(
-    scored.map((item) => ({
-      label: item.label,
-      distance: Math.max(distanceFloor, item.distance),
-    })),
-    k
-  );
+  } catch {
+    blobs.forEach((blob) => outboxStore.blobs.set(blob.id, blob));
+  }
 }
 
-function extractInvariantShapeDescriptor(vector, size) {
-  const normalized = normalizeVectorForSize(vector, size);
-  const binary = normalized.map((value) => (value >= 0.2 ? 1 : 0));
-  const radialBins = new Array(12).fill(0);
-  let m00 = 0;
-  let m10 = 0;
-  let m01 = 0;
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = binary[y * size + x];
-      m00 += value;
-      m10 += value * x;
-      m01 += value * y;
-    }
+async function deleteOutboxBlobs(ids) {
+  ids.forEach((id) => outboxStore.blobs.delete(id));
+  if (!ids.length) return;
+  try {
+    await runAppDatabase(OUTBOX_BLOB_STORE, "readwrite", (store) => {
+      ids.forEach((id) => store.delete([CURRENT_ROOM, id]));
+    });
+  } catch {
+    // Nothing cached in IndexedDB, nothing to delete.
   }
+}
 
-  if (m00 === 0) {
-    return [0, ...radialBins, 0, 0, 0, 0, 0, 0, 0];
+function loadDeletionOutbox() {
+  try {
+    const raw = getStorageItem(roomStorageKey(SERVER_DELETION_OUTBOX_STORAGE_KEY));
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter((id) => typeof id === "string") : [];
+  } catch {
+    return [];
   }
+}
 
-  const cx = m10 / m00;
-  const cy = m01 / m00;
-  const safeScale = Math.max(1, size - 1);
-  const moments = { "20": 0, "02": 0, "11": 0, "30": 0, "03": 0, "21": 0, "12": 0 };
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = binary[y * size + x];
-      if (!value) continue;
+function saveDeletionOutbox(ids) {
+  setStorageItem(roomStorageKey(SERVER_DELETION_OUTBOX_STORAGE_KEY), JSON.stringify([...new Set(ids)]));
+}
 
-      const dx = x - cx;
-      const dy = y - cy;
-      const radius = Math.sqrt(dx * dx + dy * dy) / safeScale;
-      const bin = Math.min(radialBins.length - 1, Math.floor(radius * radialBins.length));
-      radialBins[bin] += 1;
+async function encryptOutboxDrawings(drawings, cryptoContext, clientId) {
+  const outbox = loadSyncOutbox();
+  const cached = await loadOutboxBlobs();
+  const drawingsById = new Map(drawings.map((item) => [item.id, item]));
+  const encryptedById = {};
+  const fresh = [];
+  const missingIds = [];
 
-      moments["20"] += dx * dx;
-      moments["02"] += dy * dy;
-      moments["11"] += dx * dy;
-      moments["30"] += dx * dx * dx;
-      moments["03"] += dy * dy * dy;
-      moments["21"] += dx * dx * dy;
-      moments["12"] += dx * dy * dy;
+  await Promise.all([...outbox].map(async (id) => {
+    const blob = cached.get(id);
+    if (blob && blob.keyHint === cryptoContext.keyHint && blob.ver === BLOB_FORMAT_VERSION) {
+      encryptedById[id] = blob;
+      return;
     }
-  }
+    const drawing = drawingsById.get(id);
+    if (!drawing || drawing.source === "import") {
+      if (!blob) missingIds.push(id);
+      return;
+    }
+    encryptedById[id] = await encryptDrawingEntry(drawing, cryptoContext, clientId);
+    fresh.push(encryptedById[id]);
+  }));
 
-  for (let i = 0; i < radialBins.length; i += 1) {
-    radialBins[i] /= m00;
+  if (missingIds.length) {
+    updateOutbox((latest) => {
+      missingIds.forEach((id) => latest.delete(id));
+    });
   }
+  const stillQueued = loadSyncOutbox();
+  await saveOutboxBlobs(fresh.filter((blob) => stillQueued.has(blob.id)));
 
-  const eta = (p, q) => {
-    const key = `${p}${q}`;
-    const gamma = (p + q) / 2 + 1;
-    return moments[key] / Math.pow(m00, gamma);
-  };
-
-  const n20 = eta(2, 0);
-  const n02 = eta(0, 2);
-  const n11 = eta(1, 1);
-  const n30 = eta(3, 0);
-  const n03 = eta(0, 3);
-  const n21 = eta(2, 1);
-  const n12 = eta(1, 2);
-
-  const hu = [
-    n20 + n02,
-    (n20 - n02) ** 2 + 4 * n11 ** 2,
-    (n30 - 3 * n12) ** 2 + (3 * n21 - n03) ** 2,
-    (n30 + n12) ** 2 + (n21 + n03) ** 2,
-    (n30 - 3 * n12) * (n30 + n12) * ((n30 + n12) ** 2 - 3 * (n21 + n03) ** 2) +
-      (3 * n21 - n03) * (n21 + n03) * (3 * (n30 + n12) ** 2 - (n21 + n03) ** 2),
-    (n20 - n02) * ((n30 + n12) ** 2 - (n21 + n03) ** 2) + 4 * n11 * (n30 + n12) * (n21 + n03),
-    (3 * n21 - n03) * (n30 + n12) * ((n30 + n12) ** 2 - 3 * (n21 + n03) ** 2) -
-      (n30 - 3 * n12) * (n21 + n03) * (3 * (n30 + n12) ** 2 - (n21 + n03) ** 2),
-  ].map((value) => {
-    const absValue = Math.abs(value);
-    if (absValue < 1e-12) return 0;
-    return Math.log10(absValue + 1e-12);
-  });
-
-  const occupancy = m00 / (size * size);
-  return [occupancy, ...radialBins, ...hu];
+  return Object.values(encryptedById);
 }
 
-function scoreAlgo29(input, dataset16, options = {}) {
-  const { k = 27, distanceFloor = 0.008 } = options;
-  const inputDescriptor = extractInvariantShapeDescriptor(input, GRID_SIZE);
+async function syncWithServer({ profile, drawings, cryptoContext }) {
+  const baseUrl = getServerBaseUrl();
+  if (!baseUrl) return null;
 
-  const scored = dataset16
-    .map((item) => ({
-      label: item.label,
-      distance: featureDistance(inputDescriptor, extractInvariantShapeDescriptor(item.vector, GRID_SIZE)),
-    }))
-    .sort((a, b) => a.distance - b.distance);
-
-  return voteByInverseDistance(
-    scored.map((entry) => ({
-      label: entry.label,
-      distance: Math.max(distanceFloor, entry.distance),
-    })),
-    k
+  // Register before encrypting anything: the client id is part of every blob's associated data, and a
+  // refused id (409) has to be replaced first.
+  await getClientToken(baseUrl, profile);
+  const encryptedDrawings = await encryptOutboxDrawings(drawings, cryptoContext, profile.clientId);
+  // Records queued before ids were keyed by author and drawing are re-keyed, keeping the newest per drawing.
+  const queuedCurations = loadCurationOutbox();
+  const curationOutbox = Object.values(
+    mergeCurations({}, queuedCurations.map((record) => ({ ...record, id: curationRecordId(profile.clientId, record.drawingId) })))
+  );
+  if (curationOutbox.length !== queuedCurations.length || curationOutbox.some((record, index) => record.id !== queuedCurations[index]?.id)) {
+    saveCurationOutbox(curationOutbox);
+  }
+  const encryptedCurations = await Promise.all(
+    curationOutbox.map((record) => encryptCurationRecord(record, cryptoContext, profile.clientId))
+  );
+  const deletions = loadDeletionOutbox();
+  // The IP record stays under the personal key so group members cannot read each other's addresses.
+  const encryptedIp = await encryptPayload(
+    { ip: await fetchPublicIpAddress(), clientId: profile.clientId, ts: Date.now() },
+    cryptoContext.personal || cryptoContext,
+    `${profile.clientId}_ip`,
+    profile.clientId
   );
-}
-
-function scoreAlgo30(input16, dataset16) {
-  const candidates = [
-    {
-      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
-        k: 35,
-        distanceFloor: 0.005,
-        featureWeight: 0.34,
-        centerWeightPower: 1.5,
-      }),
-      weight: 1.35,
-    },
-    {
-      ...scoreAlgo28(input16, dataset16, {
-        k: 33,
-        distanceFloor: 0.007,
-        targetRadius: 9,
-      }),
-      weight: 1.2,
-    },
-    {
-      ...scoreAlgo29(input16, dataset16, {
-        k: 35,
-        distanceFloor: 0.007,
-      }),
-      weight: 1.15,
-    },
-    {
-      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
-        k: 29,
-        distanceFloor: 0.01,
-        featureWeight: 0.36,
-        centerWeightPower: 1.1,
-      }),
-      weight: 1,
-    },
-  ];
 
-  const labelScores = candidates.reduce((acc, model) => {
-    const confidenceWeight = 0.3 + (Math.max(0, model.confidence || 0) / 100);
-    const vote = model.weight * confidenceWeight;
-    acc[model.label] = (acc[model.label] || 0) + vote;
-    return acc;
-  }, {});
+  const data = await postAuthenticated(baseUrl, "/api/sync", profile, {
+    profile: cryptoContext.signing ? { ...profile, publicKey: cryptoContext.signing.publicKey } : profile,
+    room: CURRENT_ROOM,
+    encryptedIp,
+    drawings: [...encryptedDrawings, ...encryptedCurations],
+    deletions,
+  });
 
-  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
-  const probabilities = softmax(ranked.map(([, score]) => score));
-  return {
-    label: ranked[0]?.[0] || "unknown",
-    confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
-  };
-}
+  const settledDeletions = new Set([
+    ...(Array.isArray(data?.deleted) ? data.deleted : []),
+    ...(Array.isArray(data?.forbidden) ? data.forbidden : []),
+    ...(Array.isArray(data?.unknown) ? data.unknown : []),
+  ]);
+  if (settledDeletions.size) {
+    saveDeletionOutbox(loadDeletionOutbox().filter((id) => !settledDeletions.has(id)));
+  }
 
-function scoreAlgo31(input16, dataset16) {
-  const experts = [
-    {
-      ...scoreAlgo30(input16, dataset16),
-      weight: 1.55,
-    },
-    {
-      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
-        k: 39,
-        distanceFloor: 0.004,
-        featureWeight: 0.38,
-        centerWeightPower: 1.9,
-      }),
-      weight: 1.35,
-    },
-    {
-      ...scoreAlgo28(input16, dataset16, {
-        k: 37,
-        distanceFloor: 0.006,
-        targetRadius: 9,
-      }),
-      weight: 1.2,
-    },
-    {
-      ...scoreAlgo29(input16, dataset16, {
-        k: 39,
-        distanceFloor: 0.006,
-      }),
-      weight: 1.15,
-    },
-    {
-      ...scoreTransformInvariantModel(input16, dataset16, {
-        k: 27,
-        distanceFloor: 0.01,
-        featureWeight: 0.42,
-        centerWeightPower: 2,
-      }),
-      weight: 1,
-    },
+  const settledUploads = [
+    ...(Array.isArray(data?.accepted) ? data.accepted : []),
+    ...(Array.isArray(data?.rejected) ? data.rejected.map((entry) => entry?.id) : []),
   ];
-
-  const voteCountByLabel = experts.reduce((acc, expert) => {
-    acc[expert.label] = (acc[expert.label] || 0) + 1;
-    return acc;
-  }, {});
-
-  const labelScores = experts.reduce((acc, expert) => {
-    const confidence = Math.max(0, expert.confidence || 0) / 100;
-    const agreementBoost = 1 + ((voteCountByLabel[expert.label] || 1) - 1) * 0.18;
-    const vote = expert.weight * (0.45 + confidence) * agreementBoost;
-    acc[expert.label] = (acc[expert.label] || 0) + vote;
-    return acc;
-  }, {});
-
-  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
-  const probabilities = softmax(ranked.map(([, score]) => score));
-  const winnerVotes = voteCountByLabel[ranked[0]?.[0]] || 1;
-  const margin = Math.max(0, (probabilities[0] || 0) - (probabilities[1] || 0));
-
-  return {
-    label: ranked[0]?.[0] || "unknown",
-    confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100 + winnerVotes * 2 + margin * 18))),
-  };
-}
-
-function buildRaesDescriptor(vector, size = GRID_SIZE, radialBins = 8, angleBins = 16) {
-  const normalized = normalizeVectorForSize(vector, size);
-  const center = centroidForSize(normalized, size);
-
-  let totalInk = 0;
-  let radiusMoment = 0;
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = Math.max(0, normalized[y * size + x] || 0);
-      if (value <= 0.01) continue;
-      const dx = x - center.x;
-      const dy = y - center.y;
-      totalInk += value;
-      radiusMoment += (dx * dx + dy * dy) * value;
-    }
+  if (settledUploads.length) {
+    await dropOutboxDrawings(settledUploads);
   }
 
-  const effectiveRadius = Math.sqrt(radiusMoment / Math.max(totalInk, 1e-6)) + 1e-6;
-  const hist = new Array(radialBins * angleBins).fill(0);
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = Math.max(0, normalized[y * size + x] || 0);
-      if (value <= 0.01) continue;
-
-      const dx = x - center.x;
-      const dy = y - center.y;
-      const normalizedRadius = Math.min(0.9999, Math.sqrt(dx * dx + dy * dy) / effectiveRadius);
-      const angle = Math.atan2(dy, dx);
-      const angleUnit = (angle + Math.PI) / (2 * Math.PI);
-
-      const radialIndex = Math.min(radialBins - 1, Math.floor(normalizedRadius * radialBins));
-      const angleIndex = Math.min(angleBins - 1, Math.floor(angleUnit * angleBins));
-      hist[radialIndex * angleBins + angleIndex] += value;
-    }
+  // A record replaced by a newer decision while this sync was in flight stays queued.
+  const settledCurations = new Set([
+    ...(Array.isArray(data?.accepted) ? data.accepted : []),
+    ...(Array.isArray(data?.rejected) ? data.rejected.map((entry) => entry?.id) : []),
+  ]);
+  const sentAt = new Map(curationOutbox.map((record) => [record.id, record.at]));
+  if (curationOutbox.some((record) => settledCurations.has(record.id))) {
+    saveCurationOutbox(
+      loadCurationOutbox().filter((record) => !(settledCurations.has(record.id) && sentAt.get(record.id) === record.at))
+    );
   }
-
-  const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
-  const normalizedHist = hist.map((value) => value / Math.max(norm, 1e-6));
-
-  return {
-    hist: normalizedHist,
-    angleBins,
-    radialBins,
-    inkDensity: totalInk / Math.max(1, size * size),
-  };
+  return data;
 }
 
-function flipRaesAngles(hist, radialBins, angleBins) {
-  const flipped = new Array(hist.length).fill(0);
-  for (let r = 0; r < radialBins; r += 1) {
-    for (let a = 0; a < angleBins; a += 1) {
-      const targetA = (angleBins - a) % angleBins;
-      flipped[r * angleBins + targetA] = hist[r * angleBins + a];
-    }
+// Blobs we could not read yet (a group key we did not hold, or a signing key not seen yet) are kept with
+// the keys they were tried against, and tried again once either set of keys changes.
+function loadUnreadableEntries() {
+  try {
+    const parsed = JSON.parse(getStorageItem(roomStorageKey(SERVER_UNREADABLE_STORAGE_KEY)) || "null");
+    if (!parsed || typeof parsed.entries !== "object" || !parsed.entries) return { triedWith: "", entries: {} };
+    return {
+      triedWith: typeof parsed.triedWith === "string" ? parsed.triedWith : "",
+      entries: Object.fromEntries(Object.entries(parsed.entries).filter(([, entry]) => isEncryptedBlob(entry))),
+    };
+  } catch {
+    return { triedWith: "", entries: {} };
   }
-  return flipped;
 }
 
-function raesRotationalDistance(histA, histB, radialBins, angleBins) {
-  const featureCount = radialBins * angleBins;
-  let best = Number.POSITIVE_INFINITY;
-
-  for (let shift = 0; shift < angleBins; shift += 1) {
-    let sum = 0;
-    for (let r = 0; r < radialBins; r += 1) {
-      const base = r * angleBins;
-      for (let a = 0; a < angleBins; a += 1) {
-        const shiftedIndex = base + ((a + shift) % angleBins);
-        const d = histA[base + a] - histB[shiftedIndex];
-        sum += d * d;
-      }
-    }
-    best = Math.min(best, Math.sqrt(sum / Math.max(1, featureCount)));
-  }
-
-  return best;
+function saveUnreadableEntries({ triedWith, entries }) {
+  const kept = Object.entries(entries).slice(-MAX_UNREADABLE_ENTRIES);
+  setStorageItem(roomStorageKey(SERVER_UNREADABLE_STORAGE_KEY), JSON.stringify({ triedWith, entries: Object.fromEntries(kept) }));
 }
 
-function raesInvariantDistance(descA, descB) {
-  const direct = raesRotationalDistance(descA.hist, descB.hist, descA.radialBins, descA.angleBins);
-  const flippedHist = flipRaesAngles(descB.hist, descA.radialBins, descA.angleBins);
-  const flipped = raesRotationalDistance(descA.hist, flippedHist, descA.radialBins, descA.angleBins);
-  const shapeDistance = Math.min(direct, flipped);
-  const densityDistance = Math.abs(descA.inkDensity - descB.inkDensity);
-  return shapeDistance * 0.9 + densityDistance * 0.1;
+function readableKeysFingerprint(cryptoContext, signingKeys) {
+  const keyHints = cryptoContext.keyring ? [...cryptoContext.keyring.keys()] : [cryptoContext.keyHint];
+  const authorKeys = Object.entries(signingKeys).map(([clientId, keys]) => `${clientId}:${keys.length}`);
+  return JSON.stringify([keyHints.sort(), authorKeys.sort()]);
 }
 
-function scoreAlgo64(input16, dataset16, options = {}) {
-  const {
-    radialBins = 8,
-    angleBins = 16,
-    topLabels = 8,
-    k = 19,
-    distanceFloor = 0.01,
-  } = options;
-
-  const inputTransforms = generateTransformVariantsForSize(input16, GRID_SIZE);
-  const inputDescriptors = inputTransforms.map((variant) => buildRaesDescriptor(variant, GRID_SIZE, radialBins, angleBins));
-  const descriptors = dataset16.map((item) => ({
-    label: item.label,
-    desc: buildRaesDescriptor(item.vector, GRID_SIZE, radialBins, angleBins),
-  }));
+async function decryptServerEntries(entries, cryptoContext, signingKeys) {
+  const drawings = await decryptDrawingBatch(entries.filter((item) => item.kind !== "curation"), cryptoContext, signingKeys);
+  const curations = (
+    await Promise.all(entries.filter((item) => item.kind === "curation").map((item) => decryptCurationEntry(item, cryptoContext)))
+  ).filter(Boolean);
+  const readIds = new Set([...drawings, ...curations].map((item) => item.id));
+  return { drawings, curations, unreadable: entries.filter((item) => !readIds.has(item.id)) };
+}
 
-  const grouped = descriptors.reduce((acc, item) => {
-    if (!acc[item.label]) {
-      acc[item.label] = {
-        count: 0,
-        hist: new Array(radialBins * angleBins).fill(0),
-        inkDensity: 0,
-      };
+// A 429 waits out the server's window and asks for the same page again; the stored cursor means a
+// download that still gives up resumes from here next time.
+async function getDrawingsPage(url) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await getJson(url);
+    } catch (error) {
+      if (error?.status !== 429 || attempt >= SERVER_PAGE_ATTEMPTS) throw error;
+      const retryAfterSeconds = Math.min(120, Number(error.details?.retryAfterSeconds) || 10);
+      await new Promise((resolve) => setTimeout(resolve, retryAfterSeconds * 1000));
     }
-    acc[item.label].count += 1;
-    acc[item.label].inkDensity += item.desc.inkDensity;
-    for (let i = 0; i < acc[item.label].hist.length; i += 1) {
-      acc[item.label].hist[i] += item.desc.hist[i];
-    }
-    return acc;
-  }, {});
-
-  const prototypeRanked = Object.entries(grouped)
-    .map(([label, proto]) => {
-      const count = Math.max(1, proto.count);
-      const hist = proto.hist.map((value) => value / count);
-      const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
-      const prototypeDesc = {
-        hist: hist.map((value) => value / Math.max(norm, 1e-6)),
-        radialBins,
-        angleBins,
-        inkDensity: proto.inkDensity / count,
-      };
+  }
+}
 
-      const bestDistance = inputDescriptors.reduce(
-        (best, inputDesc) => Math.min(best, raesInvariantDistance(inputDesc, prototypeDesc)),
-        Number.POSITIVE_INFINITY
-      );
+async function downloadServerDrawings({ cryptoContext, forceFullSync = false, onDrawings, onDeletions, onCurations, onProgress }) {
+  const baseUrl = getServerBaseUrl();
+  if (!baseUrl) return;
 
-      return {
-        label,
-        distance: bestDistance,
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
-
-  const candidateLabels = new Set(prototypeRanked.slice(0, Math.min(topLabels, prototypeRanked.length)).map((entry) => entry.label));
-  const scored = descriptors
-    .filter((item) => candidateLabels.has(item.label))
-    .map((item) => {
-      const bestDistance = inputDescriptors.reduce(
-        (best, inputDesc) => Math.min(best, raesInvariantDistance(inputDesc, item.desc)),
-        Number.POSITIVE_INFINITY
-      );
-      return {
-        label: item.label,
-        distance: Math.max(distanceFloor, bestDistance),
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
-
-  return voteByInverseDistance(scored, k);
-}
-
-function scoreAlgo65(input16, dataset16, options = {}) {
-  const {
-    radialBins = 8,
-    angleBins = 16,
-    topLabels = 8,
-    k = 17,
-    distanceFloor = 0.01,
-    logRadiusPower = 15,
-    lineBlend = 0.08,
-    densityWeight = 0.03,
-    temperature = 2.3,
-  } = options;
-
-  const inputDesc = buildRaesDescriptor(input16, GRID_SIZE, radialBins, angleBins);
-  const inputFeatures = extractLineFeaturesForSize(input16, GRID_SIZE);
-  const descriptors = dataset16.map((item) => ({
-    label: item.label,
-    desc: buildRaesDescriptor(item.vector, GRID_SIZE, radialBins, angleBins),
-    features: extractLineFeaturesForSize(item.vector, GRID_SIZE),
-  }));
+  let after = forceFullSync ? "0" : getStorageItem(roomStorageKey(SERVER_SYNC_REV_STORAGE_KEY)) || "0";
+  let loaded = 0;
+  let hasMore = true;
 
-  const remapLogPolar = (hist) => {
-    if (logRadiusPower <= 0) return hist;
-    const output = new Array(hist.length).fill(0);
-    for (let r = 0; r < radialBins; r += 1) {
-      const radialUnit = (r + 0.5) / radialBins;
-      const mappedUnit = Math.log1p(radialUnit * logRadiusPower) / Math.log1p(logRadiusPower);
-      const targetR = Math.min(radialBins - 1, Math.floor(mappedUnit * radialBins));
-      for (let a = 0; a < angleBins; a += 1) {
-        output[targetR * angleBins + a] += hist[r * angleBins + a];
-      }
-    }
-    const norm = Math.sqrt(output.reduce((sum, value) => sum + value * value, 0));
-    return output.map((value) => value / Math.max(norm, 1e-6));
+  const applyReadable = ({ drawings, curations }) => {
+    if (drawings.length) onDrawings(drawings);
+    if (curations.length) onCurations?.(curations);
   };
 
-  const grouped = descriptors.reduce((acc, item) => {
-    if (!acc[item.label]) {
-      acc[item.label] = {
-        count: 0,
-        hist: new Array(radialBins * angleBins).fill(0),
-        inkDensity: 0,
-        features: new Array(inputFeatures.length).fill(0),
-      };
-    }
-
-    const logHist = remapLogPolar(item.desc.hist);
-    acc[item.label].count += 1;
-    acc[item.label].inkDensity += item.desc.inkDensity;
-    for (let i = 0; i < acc[item.label].hist.length; i += 1) {
-      acc[item.label].hist[i] += logHist[i];
-    }
-    for (let i = 0; i < acc[item.label].features.length; i += 1) {
-      acc[item.label].features[i] += item.features[i];
+  while (hasMore) {
+    const page = await getDrawingsPage(
+      `${baseUrl}/api/drawings?room=${encodeURIComponent(CURRENT_ROOM)}&after=${encodeURIComponent(after)}&limit=${SERVER_DOWNLOAD_PAGE_SIZE}`
+    );
+    const encrypted = Array.isArray(page?.drawings) ? page.drawings : [];
+    const deletedIds = encrypted.filter((item) => item?.deleted && typeof item.id === "string").map((item) => item.id);
+    const signingKeys = rememberSigningKeys(page?.authors);
+    const live = encrypted.filter((item) => item && !item.deleted);
+
+    const unreadable = loadUnreadableEntries();
+    const triedWith = readableKeysFingerprint(cryptoContext, signingKeys);
+    if (unreadable.triedWith !== triedWith) {
+      const retried = await decryptServerEntries(Object.values(unreadable.entries), cryptoContext, signingKeys);
+      applyReadable(retried);
+      unreadable.entries = Object.fromEntries(retried.unreadable.map((item) => [item.id, item]));
     }
-    return acc;
-  }, {});
-
-  const inputLogDesc = {
-    ...inputDesc,
-    hist: remapLogPolar(inputDesc.hist),
-  };
-
-  const prototypeRanked = Object.entries(grouped)
-    .map(([label, proto]) => {
-      const count = Math.max(1, proto.count);
-      const hist = proto.hist.map((value) => value / count);
-      const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
-      const prototypeFeatures = proto.features.map((value) => value / count);
-      const prototypeDesc = {
-        hist: hist.map((value) => value / Math.max(norm, 1e-6)),
-        radialBins,
-        angleBins,
-        inkDensity: proto.inkDensity / count,
-      };
-
-      const raesDistance = raesInvariantDistance(inputLogDesc, prototypeDesc);
-      const featureGap = featureDistance(inputFeatures, prototypeFeatures);
-      const densityGap = Math.abs(inputDesc.inkDensity - prototypeDesc.inkDensity);
-      const distance = raesDistance * (1 - lineBlend) + featureGap * lineBlend + densityGap * densityWeight;
-
-      return { label, distance };
-    })
-    .sort((a, b) => a.distance - b.distance);
-
-  const candidateLabels = new Set(prototypeRanked.slice(0, Math.min(topLabels, prototypeRanked.length)).map((entry) => entry.label));
-  const scored = descriptors
-    .filter((item) => candidateLabels.has(item.label))
-    .map((item) => {
-      const logDesc = {
-        ...item.desc,
-        hist: remapLogPolar(item.desc.hist),
-      };
-      const raesDistance = raesInvariantDistance(inputLogDesc, logDesc);
-      const featureGap = featureDistance(inputFeatures, item.features);
-      const densityGap = Math.abs(inputDesc.inkDensity - item.desc.inkDensity);
-      return {
-        label: item.label,
-        distance: Math.max(distanceFloor, raesDistance * (1 - lineBlend) + featureGap * lineBlend + densityGap * densityWeight),
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
 
-  const vote = voteByInverseDistance(scored, k);
-  const prototypeScores = prototypeRanked.map((entry) => 1 / Math.max(entry.distance, distanceFloor));
-  const probabilities = softmax(prototypeScores.map((score) => score * temperature));
-  const rankedLabels = prototypeRanked.map((entry) => entry.label);
-  const winnerIndex = rankedLabels.indexOf(vote.label);
-  const calibrated = Math.round((probabilities[winnerIndex >= 0 ? winnerIndex : 0] || 0) * 100);
+    const result = await decryptServerEntries(live, cryptoContext, signingKeys);
+    applyReadable(result);
+    if (deletedIds.length) onDeletions(deletedIds);
 
-  return {
-    label: vote.label,
-    confidence: Math.max(vote.confidence, calibrated),
-  };
-}
-
-function scoreAlgo66(input16, dataset16, options = {}) {
-  const {
-    rotationSteps = 24,
-    k = 25,
-    topLabels = 10,
-    distanceFloor = 0.008,
-    lineBlend = 0.2,
-    descriptorBlend = 0.28,
-    neighborBonus = 0.08,
-    temperature = 2.65,
-  } = options;
-
-  const inputNormalized = normalizeVector(input16);
-  const generateDenseCandidates = (vector) => {
-    const horizontalFlip = flipVectorHorizontal(vector);
-    const verticalFlip = rotateVector90(rotateVector90(horizontalFlip));
-    const flipModes = [vector, horizontalFlip, verticalFlip];
-    const candidates = [];
-
-    flipModes.forEach((base) => {
-      for (let step = 0; step < rotationSteps; step += 1) {
-        const angle = (2 * Math.PI * step) / Math.max(1, rotationSteps);
-        candidates.push(transformVector(base, { angle }));
-      }
+    // A newer version or a tombstone replaces whatever was kept for the same id.
+    [...live.map((item) => item.id), ...deletedIds].forEach((id) => {
+      delete unreadable.entries[id];
     });
-
-    return candidates;
-  };
-
-  const inputCandidates = generateDenseCandidates(inputNormalized);
-
-  const grouped = dataset16.reduce((acc, item) => {
-    if (!acc[item.label]) acc[item.label] = [];
-    acc[item.label].push(item.vector);
-    return acc;
-  }, {});
-
-  const labelPrototypes = Object.entries(grouped).map(([label, vectors]) => {
-    const proto = new Array(GRID_SIZE * GRID_SIZE).fill(0);
-    vectors.forEach((vector) => {
-      const norm = normalizeVector(vector);
-      for (let i = 0; i < proto.length; i += 1) {
-        proto[i] += norm[i] || 0;
-      }
+    result.unreadable.forEach((item) => {
+      unreadable.entries[item.id] = item;
     });
+    saveUnreadableEntries({ triedWith, entries: unreadable.entries });
 
-    for (let i = 0; i < proto.length; i += 1) {
-      proto[i] /= Math.max(1, vectors.length);
+    loaded += encrypted.length;
+    const remaining = Math.max(0, Number(page?.remaining) || 0);
+    onProgress?.({ loaded, total: loaded + remaining });
+
+    // Only advance the cursor once the page is applied, so an interrupted download resumes here.
+    if (typeof page?.cursor === "string") {
+      after = page.cursor;
+      setStorageItem(roomStorageKey(SERVER_SYNC_REV_STORAGE_KEY), after);
     }
+    hasMore = Boolean(page?.hasMore) && encrypted.length > 0;
+  }
+}
+
 
+function loadCompareStats() {
+  try {
+    const raw = getStorageItem(COMPARE_STATS_STORAGE_KEY);
+    if (!raw) return { attempts: 0, hyperDrawWins: 0, hyperDrawV2Wins: 0, hyperDrawV2XWins: 0, ties: 0 };
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") throw new Error("invalid stats");
     return {
-      label,
-      vector: proto,
-      features: extractLineFeaturesForSize(proto, GRID_SIZE),
-      descriptor: extractInvariantShapeDescriptor(proto, GRID_SIZE),
+      attempts: Math.max(0, Math.floor(parsed.attempts || 0)),
+      hyperDrawWins: Math.max(0, Math.floor(parsed.hyperDrawWins || 0)),
+      hyperDrawV2Wins: Math.max(0, Math.floor(parsed.hyperDrawV2Wins || 0)),
+      hyperDrawV2XWins: Math.max(0, Math.floor(parsed.hyperDrawV2XWins || 0)),
+      ties: Math.max(0, Math.floor(parsed.ties || 0)),
     };
-  });
-
-  const labelRanked = labelPrototypes
-    .map((prototype) => {
-      const bestDistance = inputCandidates.reduce((best, candidate) => {
-        const pixelDistance = distance(candidate, prototype.vector) / Math.sqrt(candidate.length);
-        const lineDistance = featureDistance(
-          extractLineFeaturesForSize(candidate, GRID_SIZE),
-          prototype.features
-        );
-        const descriptorDistance = featureDistance(
-          extractInvariantShapeDescriptor(candidate, GRID_SIZE),
-          prototype.descriptor
-        );
-
-        const blendedDistance =
-          pixelDistance * (1 - lineBlend - descriptorBlend) +
-          lineDistance * lineBlend +
-          descriptorDistance * descriptorBlend;
-
-        return Math.min(best, blendedDistance);
-      }, Number.POSITIVE_INFINITY);
-
-      return {
-        label: prototype.label,
-        distance: Math.max(distanceFloor, bestDistance),
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
-
-  const candidateLabels = new Set(labelRanked.slice(0, Math.min(topLabels, labelRanked.length)).map((item) => item.label));
-
-  const scoredSamples = dataset16
-    .filter((item) => candidateLabels.has(item.label))
-    .map((item) => {
-      const sample = normalizeVector(item.vector);
-      const sampleFeatures = extractLineFeaturesForSize(sample, GRID_SIZE);
-      const sampleDescriptor = extractInvariantShapeDescriptor(sample, GRID_SIZE);
-
-      const bestDistance = inputCandidates.reduce((best, candidate) => {
-        const pixelDistance = distance(candidate, sample) / Math.sqrt(candidate.length);
-        const lineDistance = featureDistance(extractLineFeaturesForSize(candidate, GRID_SIZE), sampleFeatures);
-        const descriptorDistance = featureDistance(
-          extractInvariantShapeDescriptor(candidate, GRID_SIZE),
-          sampleDescriptor
-        );
-        const blendedDistance =
-          pixelDistance * (1 - lineBlend - descriptorBlend) +
-          lineDistance * lineBlend +
-          descriptorDistance * descriptorBlend;
+  } catch {
+    return { attempts: 0, hyperDrawWins: 0, hyperDrawV2Wins: 0, hyperDrawV2XWins: 0, ties: 0 };
+  }
+}
 
-        return Math.min(best, blendedDistance);
-      }, Number.POSITIVE_INFINITY);
+function saveCompareStats(stats) {
+  setStorageItem(COMPARE_STATS_STORAGE_KEY, JSON.stringify(stats));
+}
 
-      return {
-        label: item.label,
-        distance: Math.max(distanceFloor, bestDistance),
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
+// Scoring runs in classifier-worker.js. The worker gets the training set as per-drawing upserts and
+// removals, diffed by object identity like saveDataset, and answers classify requests in order. If the
+// worker cannot start, the same classifier.js functions run on the page instead.
+const classifierClient = { worker: null, fallback: null, sent: new Map(), requests: new Map(), nextRequestId: 1 };
 
-  const withPrototypeSupport = scoredSamples.map((entry) => {
-    const prototypeIndex = labelRanked.findIndex((item) => item.label === entry.label);
-    const prototypeBoost = prototypeIndex >= 0 ? neighborBonus / (prototypeIndex + 1) : 0;
-    return {
-      ...entry,
-      distance: Math.max(distanceFloor, entry.distance - prototypeBoost),
+function startClassifierWorker() {
+  if (classifierClient.worker || classifierClient.fallback) return;
+  try {
+    const worker = new Worker("classifier-worker.js");
+    worker.onmessage = ({ data }) => {
+      const request = classifierClient.requests.get(data.requestId);
+      if (!request) return;
+      classifierClient.requests.delete(data.requestId);
+      request.resolve(data);
     };
-  });
+    worker.onerror = () => fallBackToMainThreadClassifier();
+    classifierClient.worker = worker;
+  } catch {
+    fallBackToMainThreadClassifier();
+  }
+}
 
-  const vote = voteByInverseDistance(withPrototypeSupport, k);
-  const scoreByLabel = withPrototypeSupport.reduce((acc, item) => {
-    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance, distanceFloor);
-    return acc;
-  }, {});
-  const rankedScores = Object.entries(scoreByLabel).sort((a, b) => b[1] - a[1]);
-  const probabilities = softmax(rankedScores.map(([, score]) => score * temperature));
-  const winnerIndex = rankedScores.findIndex(([label]) => label === vote.label);
-  const calibratedConfidence = Math.round((probabilities[winnerIndex >= 0 ? winnerIndex : 0] || 0) * 100);
+function fallBackToMainThreadClassifier() {
+  if (classifierClient.worker) classifierClient.worker.terminate();
+  classifierClient.worker = null;
+  classifierClient.fallback = createClassifierState();
+  updateClassifierState(classifierClient.fallback, {
+    upserts: [...classifierClient.sent].map(([key, item]) => ({ key, label: item.label, vector: item.vector })),
+  });
+  const pending = [...classifierClient.requests.values()];
+  classifierClient.requests.clear();
+  pending.forEach(({ message, resolve }) => resolve(classifyOnMainThread(message)));
+}
 
-  return {
-    label: vote.label,
-    confidence: Math.max(vote.confidence, calibratedConfidence),
-  };
+function classifyOnMainThread({ requestId, revision, vector, includeAll, excludeIds }) {
+  return { requestId, revision, ...classifyWithState(classifierClient.fallback, vector, includeAll, excludeIds) };
 }
 
-function buildEdgeMapFromBinary(binary, size) {
-  const edge = new Array(size * size).fill(0);
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const i = y * size + x;
-      if (!binary[i]) continue;
-      const left = x > 0 ? binary[i - 1] : 0;
-      const right = x < size - 1 ? binary[i + 1] : 0;
-      const up = y > 0 ? binary[i - size] : 0;
-      const down = y < size - 1 ? binary[i + size] : 0;
-      if (!left || !right || !up || !down) edge[i] = 1;
-    }
-  }
-  return edge;
+function classifierKey(item) {
+  return item.id || `${item.label}_${item.ts}`;
 }
 
-function estimateStrokeWidth(binary, edge, size) {
-  let area = 0;
-  let perimeter = 0;
-  for (let i = 0; i < size * size; i += 1) {
-    area += binary[i] ? 1 : 0;
-    perimeter += edge[i] ? 1 : 0;
-  }
-  if (!area || !perimeter) return 1;
-  return Math.max(0.75, Math.min(4, (2 * area) / perimeter));
+function syncClassifierDataset(dataset) {
+  startClassifierWorker();
+  const next = new Map(dataset.map((item) => [classifierKey(item), item]));
+  const upserts = [];
+  next.forEach((item, key) => {
+    if (classifierClient.sent.get(key) !== item) upserts.push({ key, label: item.label, vector: item.vector });
+  });
+  const removals = [...classifierClient.sent.keys()].filter((key) => !next.has(key));
+  classifierClient.sent = next;
+  if (!upserts.length && !removals.length) return;
+
+  if (classifierClient.worker) classifierClient.worker.postMessage({ type: "dataset", upserts, removals });
+  else updateClassifierState(classifierClient.fallback, { upserts, removals });
+}
+
+// Resolves with { revision, live, results }. `revision` is echoed back so callers can drop stale answers;
+// `results` holds every dev-mode algorithm when `includeAll` is set. Drawings whose classifierKey is in
+// `excludeIds` are left out of the training set for this request.
+function requestClassification(vector, { revision = 0, includeAll = false, excludeIds = [] } = {}) {
+  startClassifierWorker();
+  const message = { type: "classify", requestId: classifierClient.nextRequestId, revision, vector, includeAll, excludeIds };
+  classifierClient.nextRequestId += 1;
+  if (!classifierClient.worker) return Promise.resolve(classifyOnMainThread(message));
+  return new Promise((resolve) => {
+    classifierClient.requests.set(message.requestId, { message, resolve });
+    classifierClient.worker.postMessage(message);
+  });
 }
 
-function extractThicknessCompensatedFeatures(vector, size = GRID_SIZE) {
-  const normalized = normalizeVectorForSize(vector, size);
-  const binary = normalized.map((value) => (value >= 0.2 ? 1 : 0));
-  const edge = buildEdgeMapFromBinary(binary, size);
-  const edgeDt = distanceTransformChamfer(edge, size);
-  const strokeWidth = estimateStrokeWidth(binary, edge, size);
-  const compensated = new Array(size * size).fill(0);
+// Paints strokes in the same { points: [{ x, y }], erase } shape that strokesRef records. Line widths
+// are scaled so a small thumbnail looks like the full-size drawing canvas.
+function paintStrokes(canvas, strokes) {
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return;
+  const lineScale = canvas.width / DRAWING_CANVAS_SIZE;
 
-  for (let i = 0; i < compensated.length; i += 1) {
-    if (!binary[i]) continue;
-    const depth = Math.max(0, edgeDt[i]);
-    compensated[i] = 1 / (1 + depth / Math.max(0.6, strokeWidth));
-  }
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
 
-  return { normalized, binary, edge, edgeDt, strokeWidth, compensated };
+  strokes.forEach((stroke) => {
+    if (!stroke || !Array.isArray(stroke.points) || stroke.points.length < 2) return;
+    ctx.beginPath();
+    ctx.strokeStyle = stroke.erase ? "#ffffff" : "#111827";
+    ctx.lineWidth = (stroke.erase ? 32 : 20) * lineScale;
+    ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+    stroke.points.slice(1).forEach((point) => ctx.lineTo(point.x, point.y));
+    ctx.stroke();
+    ctx.closePath();
+  });
 }
 
-function rotateArray(values, shift) {
-  const n = values.length;
-  if (!n) return [];
-  const out = new Array(n);
-  for (let i = 0; i < n; i += 1) out[i] = values[(i + shift + n) % n];
-  return out;
+function paintVector(canvas, vector) {
+  const ctx = canvas?.getContext("2d");
+  if (!ctx) return;
+  const cell = canvas.width / GRID_SIZE;
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  vector.forEach((value, index) => {
+    if (value <= 0.02) return;
+    const shade = Math.round(255 - Math.min(1, value) * (255 - 17));
+    ctx.fillStyle = `rgb(${shade}, ${shade}, ${Math.min(255, shade + 22)})`;
+    ctx.fillRect((index % GRID_SIZE) * cell, Math.floor(index / GRID_SIZE) * cell, Math.ceil(cell), Math.ceil(cell));
+  });
 }
 
-function minCyclicL2(a, b) {
-  if (!a.length || !b.length || a.length !== b.length) return Number.POSITIVE_INFINITY;
-  let best = Number.POSITIVE_INFINITY;
-  for (let shift = 0; shift < a.length; shift += 1) {
-    const shifted = rotateArray(b, shift);
-    best = Math.min(best, featureDistance(a, shifted));
-    best = Math.min(best, featureDistance(a, [...shifted].reverse()));
-  }
-  return best;
+// One path per stroke, in drawing order, on a white background. Eraser strokes are white paths, so the
+// SVG looks exactly like the canvas.
+function strokesToSvg(strokes, size) {
+  const round = (value) => Math.round(value * 10) / 10;
+  const paths = strokes
+    .filter((stroke) => stroke && Array.isArray(stroke.points) && stroke.points.length >= 2)
+    .map((stroke) => {
+      const d = stroke.points.map((point, index) => `${index ? "L" : "M"}${round(point.x)} ${round(point.y)}`).join(" ");
+      return `  <path d="${d}" stroke="${stroke.erase ? "#ffffff" : "#111827"}" stroke-width="${stroke.erase ? 32 : 20}"/>`;
+    });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+    `  <rect width="${size}" height="${size}" fill="#ffffff"/>`,
+    `  <g fill="none" stroke-linecap="round" stroke-linejoin="round">`,
+    ...paths.map((path) => `  ${path}`),
+    "  </g>",
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+// Unlike paintVector, this keeps the exact grayscale values the models see, one solid square per cell.
+function vectorToImageCanvas(vector, cellSize) {
+  const canvas = document.createElement("canvas");
+  canvas.width = GRID_SIZE * cellSize;
+  canvas.height = GRID_SIZE * cellSize;
+  const ctx = canvas.getContext("2d");
+  vector.forEach((value, index) => {
+    const gray = Math.round(255 * (1 - Math.min(1, Math.max(0, value))));
+    ctx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+    ctx.fillRect((index % GRID_SIZE) * cellSize, Math.floor(index / GRID_SIZE) * cellSize, cellSize, cellSize);
+  });
+  return canvas;
 }
 
-function classifyFromDistances(scored, distanceFloor = 0.01, temperature = 2) {
-  const safe = scored.map((item) => ({ label: item.label, distance: Math.max(distanceFloor, item.distance) }));
-  const vote = voteByInverseDistance(safe, Math.min(21, safe.length));
-  const scores = safe.reduce((acc, item) => {
-    acc[item.label] = (acc[item.label] || 0) + 1 / item.distance;
-    return acc;
-  }, {});
-  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-  const probs = softmax(ranked.map(([, score]) => score * temperature));
-  const winnerIndex = ranked.findIndex(([label]) => label === vote.label);
-  return {
-    label: vote.label,
-    confidence: Math.max(vote.confidence, Math.round((probs[Math.max(0, winnerIndex)] || 0) * 100)),
-  };
+// Strokes look closer to what the author drew, so they win over the 16x16 vector when present.
+function DrawingThumbnail({ drawing, size }) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    if (drawing.strokes) paintStrokes(canvas, strokeRecordToStrokes(drawing.strokes, canvas.width));
+    else paintVector(canvas, drawing.vector);
+  }, [drawing]);
+  return <canvas ref={canvasRef} className="thumbnail" width={size} height={size} aria-label={`${drawing.label} thumbnail`} />;
 }
 
-function scoreAlgo67(input16, dataset16) {
-  const input = extractThicknessCompensatedFeatures(input16);
-  const inputVariants = generateTransformVariantsForSize(input.compensated, GRID_SIZE);
-  const scored = dataset16.map((item) => {
-    const sample = extractThicknessCompensatedFeatures(item.vector);
-    const sampleVariants = generateTransformVariantsForSize(sample.compensated, GRID_SIZE);
-    let best = Number.POSITIVE_INFINITY;
-    inputVariants.forEach((a) => {
-      sampleVariants.forEach((b) => {
-        best = Math.min(best, distance(a, b) / Math.sqrt(a.length));
-      });
-    });
-    return { label: item.label, distance: best + Math.abs(input.strokeWidth - sample.strokeWidth) * 0.02 };
-  });
-  return classifyFromDistances(scored, 0.01, 2.3);
-}
-
-function extractLineFeaturesForSize(vector, size) {
-  const norm = normalizeVectorForSize(vector, size);
-  const binary = norm.map((value) => (value >= 0.25 ? 1 : 0));
-  const rowSums = new Array(size).fill(0);
-  const colSums = new Array(size).fill(0);
-  let hTransitions = 0;
-  let vTransitions = 0;
-  let d1Transitions = 0;
-  let d2Transitions = 0;
-  let active = 0;
-  let cx = 0;
-  let cy = 0;
-
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const index = y * size + x;
-      const value = binary[index];
-      rowSums[y] += value;
-      colSums[x] += value;
-      active += value;
-      cx += value * x;
-      cy += value * y;
-
-      if (x < size - 1 && value !== binary[index + 1]) hTransitions += 1;
-      if (y < size - 1 && value !== binary[index + size]) vTransitions += 1;
-      if (x < size - 1 && y < size - 1 && value !== binary[index + size + 1]) d1Transitions += 1;
-      if (x > 0 && y < size - 1 && value !== binary[index + size - 1]) d2Transitions += 1;
-    }
-  }
-
-  const safeActive = Math.max(active, 1);
-  return [
-    hTransitions / (size * size),
-    vTransitions / (size * size),
-    d1Transitions / (size * size),
-    d2Transitions / (size * size),
-    active / (size * size),
-    cx / safeActive / size,
-    cy / safeActive / size,
-  ];
+function GalleryDetail({ drawing, curation, isOwn, onReplay, onCurate, onClose }) {
+  const strokeCount = drawing.strokes ? drawing.strokes.strokes.length : 0;
+  const [relabelTo, setRelabelTo] = useState(drawing.label);
+  const status = describeCuration(curation);
+  return (
+    <div className="overlay-screen" onClick={onClose}>
+      <div className="card replay-card" onClick={(event) => event.stopPropagation()}>
+        <h2>{drawing.label}</h2>
+        <DrawingThumbnail drawing={drawing} size={320} />
+        <ul className="gallery-meta">
+          <li>Author: {drawing.authorName || "anonymous"}{isOwn ? " (you)" : ""}</li>
+          <li>Signature: {isOwn ? "yours" : drawing.verified ? "verified" : "not verified"}</li>
+          <li>Drawn: {new Date(drawing.ts).toLocaleString()}</li>
+          <li>
+            Strokes: {strokeCount
+              ? `${strokeCount} (${(strokeRecordDuration(drawing.strokes) / 1000).toFixed(1)}s)`
+              : "not recorded"}
+          </li>
+          <li>Id: <code>{drawing.id}</code></li>
+          <li>Training: {status || "used as drawn"}</li>
+        </ul>
+        <div className="row controls-row">
+          <select value={relabelTo} onChange={(event) => setRelabelTo(event.target.value)} aria-label="new label">
+            {[...new Set([drawing.label, ...OBJECTS])].map((label) => <option key={label} value={label}>{label}</option>)}
+          </select>
+          <button className="secondary" type="button" disabled={relabelTo === drawing.label} onClick={() => onCurate(drawing.id, "relabel", relabelTo)}>Relabel</button>
+          <button className="warn" type="button" onClick={() => onCurate(drawing.id, "flag")}>Flag as junk</button>
+          <button className="secondary" type="button" onClick={() => onCurate(drawing.id, "exclude")}>Exclude from training</button>
+          {status && <button className="secondary" type="button" onClick={() => onCurate(drawing.id, "clear")}>Clear</button>}
+        </div>
+        <div className="row">
+          {drawing.strokes && <button className="primary" type="button" onClick={() => onReplay(drawing)}>Replay</button>}
+          <button className="secondary" type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-function extractScaleAwareLineLengthFeatures(vector, size = GRID_SIZE) {
-  const normalized = normalizeVectorForSize(vector, size);
-  const { edge, strokeWidth } = extractThicknessCompensatedFeatures(normalized, size);
-  const rowLengths = new Array(size).fill(0);
-  const colLengths = new Array(size).fill(0);
-  let edgePixels = 0;
+// Newest first. Filtering works on the in-memory dataset; only the current page renders thumbnails.
+function GalleryTab({ dataset, curations, ownClientId, onReplay, onCurate, onExport, onImport }) {
+  const [labelFilter, setLabelFilter] = useState("");
+  const [authorFilter, setAuthorFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(0);
+  const [selected, setSelected] = useState(null);
+  const [exportStrokes, setExportStrokes] = useState(true);
+  const [exportAuthors, setExportAuthors] = useState(false);
+  const [transferMessage, setTransferMessage] = useState("");
+  const [isImporting, setIsImporting] = useState(false);
+
+  const labels = useMemo(() => [...new Set(dataset.map((item) => item.label))].sort(), [dataset]);
+  const authors = useMemo(() => {
+    const byClient = new Map();
+    dataset.forEach((item) => byClient.set(item.clientId || "", item.authorName || "anonymous"));
+    return [...byClient.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [dataset]);
+
+  const filtered = useMemo(() => {
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : -Infinity;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : Infinity;
+    const query = search.trim().toLowerCase();
+    return dataset
+      .filter((item) =>
+        (!labelFilter || item.label === labelFilter) &&
+        (!authorFilter || (item.clientId || "") === authorFilter) &&
+        item.ts >= from &&
+        item.ts <= to &&
+        (!query || item.label.toLowerCase().includes(query) || (item.authorName || "").toLowerCase().includes(query))
+      )
+      .sort((a, b) => b.ts - a.ts);
+  }, [dataset, labelFilter, authorFilter, fromDate, toDate, search]);
 
-  for (let y = 0; y < size; y += 1) {
-    for (let x = 0; x < size; x += 1) {
-      const value = edge[y * size + x] ? 1 : 0;
-      edgePixels += value;
-      rowLengths[y] += value;
-      colLengths[x] += value;
+  useEffect(() => {
+    setPage(0);
+  }, [labelFilter, authorFilter, fromDate, toDate, search]);
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    setIsImporting(true);
+    setTransferMessage(`Reading ${file.name}…`);
+    try {
+      setTransferMessage(await onImport(file, (lines) => setTransferMessage(`Reading ${file.name}… ${lines.toLocaleString()} lines`)));
+    } catch (error) {
+      setTransferMessage(error.message || "Could not import that file.");
+    } finally {
+      setIsImporting(false);
     }
-  }
-
-  const safeEdgePixels = Math.max(1, edgePixels);
-  const rowProfile = rowLengths.map((value) => value / safeEdgePixels);
-  const colProfile = colLengths.map((value) => value / safeEdgePixels);
-  const shapeFeatures = extractLineFeaturesForSize(normalized, size);
-
-  return {
-    normalized,
-    profile: [...rowProfile, ...colProfile, ...shapeFeatures, Math.min(1, strokeWidth / 4)],
-    density: edgePixels / (size * size),
   };
-}
 
-function minTransformDistanceForSize(a, b, size = GRID_SIZE) {
-  const aVariants = generateTransformVariantsForSize(a, size);
-  const bVariants = generateTransformVariantsForSize(b, size);
-  let best = Number.POSITIVE_INFINITY;
+  const pageCount = Math.max(1, Math.ceil(filtered.length / GALLERY_PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = filtered.slice(currentPage * GALLERY_PAGE_SIZE, (currentPage + 1) * GALLERY_PAGE_SIZE);
 
-  aVariants.forEach((aVariant) => {
-    bVariants.forEach((bVariant) => {
-      best = Math.min(best, distance(aVariant, bVariant) / Math.sqrt(size * size));
-    });
-  });
+  return (
+    <section className="card">
+      <h2>Community gallery</h2>
+      <p className="subtitle">{filtered.length.toLocaleString()} of {dataset.length.toLocaleString()} drawings in {CURRENT_ROOM}.</p>
+      <div className="row gallery-filters">
+        <input value={search} onChange={(event) => setSearch(event.target.value)} placeholder="Search label or author" aria-label="search drawings" />
+        <select value={labelFilter} onChange={(event) => setLabelFilter(event.target.value)} aria-label="filter by object">
+          <option value="">All objects</option>
+          {labels.map((label) => <option key={label} value={label}>{label}</option>)}
+        </select>
+        <select value={authorFilter} onChange={(event) => setAuthorFilter(event.target.value)} aria-label="filter by author">
+          <option value="">All authors</option>
+          {authors.map(([clientId, name]) => <option key={clientId} value={clientId}>{clientId === ownClientId ? `${name} (you)` : name}</option>)}
+        </select>
+        <label>From&nbsp;<input type="date" value={fromDate} onChange={(event) => setFromDate(event.target.value)} /></label>
+        <label>To&nbsp;<input type="date" value={toDate} onChange={(event) => setToDate(event.target.value)} /></label>
+      </div>
 
-  return best;
-}
-
-function scoreTransformInvariantModelForSize(inputVector, dataset, size, options = {}) {
-  const { k = 17, distanceFloor = 0.02, featureWeight = 0.35, centerWeightPower = 0 } = options;
-  const inputNorm = normalizeVectorForSize(inputVector, size);
-  const inputFeatures = extractLineFeaturesForSize(inputNorm, size);
-  const inputCandidates = generateTransformVariantsForSize(inputNorm, size);
-
-  const scored = dataset.map((item) => {
-    const base = normalizeVectorForSize(item.vector, size);
-    const candidates = generateTransformVariantsForSize(base, size);
-
-    const bestDistance = inputCandidates.reduce((bestInput, inputCandidate) => {
-      const bestForInput = candidates.reduce((bestCandidate, candidate) => {
-        let d = distance(inputCandidate, candidate) / Math.sqrt(size * size);
-        if (centerWeightPower > 0) {
-          const box = boundingBoxForSize(candidate, size);
-          if (box) {
-            const cx = (box.minX + box.maxX) / 2;
-            const cy = (box.minY + box.maxY) / 2;
-            const centerDx = Math.abs(cx - (size - 1) / 2) / (size / 2);
-            const centerDy = Math.abs(cy - (size - 1) / 2) / (size / 2);
-            d *= 1 + Math.pow((centerDx + centerDy) / 2, centerWeightPower) * 0.2;
-          }
-        }
-        return Math.min(bestCandidate, d);
-      }, Number.POSITIVE_INFINITY);
-      return Math.min(bestInput, bestForInput);
-    }, Number.POSITIVE_INFINITY);
+      {visible.length === 0 ? (
+        <p>No drawings match these filters.</p>
+      ) : (
+        <div className="gallery-grid">
+          {visible.map((item) => (
+            <button key={item.id} className="gallery-item" type="button" onClick={() => setSelected(item)}>
+              <DrawingThumbnail drawing={item} size={GALLERY_THUMBNAIL_SIZE} />
+              <span className="gallery-label">{item.label}</span>
+              <span className="gallery-author">{item.authorName || "anonymous"}{item.verified ? " ✓" : ""}</span>
+              {describeCuration(curations[item.id]) && <span className="curation-badge">{describeCuration(curations[item.id])}</span>}
+            </button>
+          ))}
+        </div>
+      )}
 
-    const lineDistance = featureDistance(inputFeatures, extractLineFeaturesForSize(base, size));
-    return {
-      label: item.label,
-      distance: bestDistance * (1 - featureWeight) + lineDistance * featureWeight,
-      rawDistance: bestDistance,
-    };
-  });
+      <div className="row controls-row">
+        <button className="secondary" type="button" disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)}>Previous</button>
+        <span>Page {currentPage + 1} of {pageCount}</span>
+        <button className="secondary" type="button" disabled={currentPage >= pageCount - 1} onClick={() => setPage(currentPage + 1)}>Next</button>
+      </div>
 
-  const ranked = scored.sort((a, b) => a.distance - b.distance);
-  const vote = voteByInverseDistance(
-    ranked.map((entry) => ({
-      label: entry.label,
-      distance: Math.max(distanceFloor, entry.distance),
-    })),
-    k
+      <h3>Import and export</h3>
+      <p>
+        Export saves this room's drawings as an NDJSON file. Import reads those files, or Quick Draw simplified NDJSON. Drawings already in the dataset and objects that are not in the prompt list are skipped. Imported drawings stay on this device.
+      </p>
+      <div className="row controls-row">
+        <button className={`secondary ${exportStrokes ? "active" : ""}`} type="button" onClick={() => setExportStrokes((on) => !on)}>Include strokes</button>
+        <button className={`secondary ${exportAuthors ? "active" : ""}`} type="button" onClick={() => setExportAuthors((on) => !on)}>Include authors</button>
+        <button className="primary" type="button" disabled={!dataset.length} onClick={() => onExport({ includeStrokes: exportStrokes, includeAuthors: exportAuthors })}>Export dataset</button>
+        <label className={`file-button ${isImporting ? "disabled" : ""}`}>
+          Import file
+          <input type="file" accept=".ndjson,.jsonl,.json,application/json" disabled={isImporting} onChange={importFile} />
+        </label>
+      </div>
+      {transferMessage && <p className="status-msg">{transferMessage}</p>}
+
+      {selected && (
+        <GalleryDetail
+          drawing={selected}
+          curation={curations[selected.id]}
+          isOwn={selected.clientId === ownClientId}
+          onCurate={onCurate}
+          onReplay={(drawing) => {
+            setSelected(null);
+            onReplay(drawing);
+          }}
+          onClose={() => setSelected(null)}
+        />
+      )}
+    </section>
   );
-  const nearest = ranked[0] || { label: "unknown", rawDistance: 1 };
-
-  return {
-    label: vote.label,
-    confidence: vote.confidence,
-    nearestLabel: nearest.label,
-    nearestConfidence: Math.round((1 - Math.min(1, nearest.rawDistance)) * 100),
-  };
 }
 
-function runLiveAlgorithms(vector, dataset) {
-  if (!dataset.length) {
-    return {
-      hyperDraw: { label: "Need training data first", confidence: 0 },
-      hyperDrawV2: { label: "Need training data first", confidence: 0 },
-      hyperDrawV2X: { label: "Need training data first", confidence: 0 },
-    };
-  }
+function canvasToVector(canvas, offscreen) {
+  const octx = offscreen.getContext("2d");
+  octx.fillStyle = "white";
+  octx.fillRect(0, 0, GRID_SIZE, GRID_SIZE);
+  octx.drawImage(canvas, 0, 0, GRID_SIZE, GRID_SIZE);
 
-  const prepared = prepareLiveDataset(dataset);
-  return runLiveAlgorithmsPrepared(vector, prepared);
+  const { data } = octx.getImageData(0, 0, GRID_SIZE, GRID_SIZE);
+  const vec = [];
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = (data[i] + data[i + 1] + data[i + 2]) / 3;
+    vec.push(1 - gray / 255);
+  }
+  return vec;
 }
 
-function prepareLiveDataset(dataset) {
-  const normalizedDataset = dataset.map((item) => ({
-    label: item.label,
-    normalizedVector: normalizeVector(item.vector),
-  }));
+function createVectorCanvas() {
+  const offscreen = document.createElement("canvas");
+  offscreen.width = GRID_SIZE;
+  offscreen.height = GRID_SIZE;
+  return offscreen;
+}
 
-  const prototypesNormalized = buildLabelPrototypes(
-    normalizedDataset.map((item) => ({ label: item.label, vector: item.normalizedVector }))
-  );
+function strokeRecordDuration(record) {
+  return record.strokes.reduce((latest, stroke) => Math.max(latest, stroke.points[stroke.points.length - 1] || 0), 0);
+}
 
-  return {
-    normalizedDataset,
-    prototypesNormalized,
-  };
+// Expands a stroke record back into canvas strokes, keeping only points drawn by `untilMs`.
+function strokeRecordToStrokes(record, canvasSize, untilMs = Infinity) {
+  const scale = canvasSize / record.size;
+  const strokes = [];
+  record.strokes.forEach((stroke) => {
+    const points = [];
+    for (let index = 0; index < stroke.points.length; index += 3) {
+      if (stroke.points[index + 2] > untilMs) break;
+      points.push({ x: stroke.points[index] * scale, y: stroke.points[index + 1] * scale });
+    }
+    if (points.length) strokes.push({ points: points.length === 1 ? [points[0], points[0]] : points, erase: stroke.erase });
+  });
+  return strokes;
 }
 
-function runLiveAlgorithmsPrepared(vector, prepared) {
-  const { normalizedDataset, prototypesNormalized } = prepared;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const GALLERY_PAGE_SIZE = 48;
+const GALLERY_THUMBNAIL_SIZE = 96;
 
-  if (!normalizedDataset.length) {
-    return {
-      hyperDraw: { label: "Need training data first", confidence: 0 },
-      hyperDrawV2: { label: "Need training data first", confidence: 0 },
-      hyperDrawV2X: { label: "Need training data first", confidence: 0 },
-    };
-  }
+// Animates a drawing's stroke record at its original pace and runs the live model as it goes.
+function ReplayViewer({ drawing, hasTrainingData, selectedModel, onClose }) {
+  const canvasRef = useRef(null);
+  const offscreenRef = useRef(null);
+  const lastGuessRef = useRef({ at: 0, points: -1 });
+  const guessRevisionRef = useRef(0);
+  const duration = useMemo(() => Math.max(1, strokeRecordDuration(drawing.strokes)), [drawing]);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [liveGuess, setLiveGuess] = useState("…");
 
-  const normalizedInput = normalizeVector(vector);
-  const normalizedDistances = normalizedDataset
-    .map((item) => ({
-      label: item.label,
-      distance: distance(normalizedInput, item.normalizedVector) / Math.sqrt(vector.length),
-    }))
-    .sort((a, b) => a.distance - b.distance);
-
-  const algo1TopK = normalizedDistances.slice(0, Math.min(24, normalizedDistances.length));
-  const algo1LabelScores = algo1TopK.reduce((acc, item) => {
-    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance + 0.08, 0.001);
-    return acc;
-  }, {});
-
-  Object.entries(prototypesNormalized).forEach(([label, prototype]) => {
-    const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
-    const prototypeVote = 1 / Math.max(0.001, prototypeDistance + 0.06);
-    algo1LabelScores[label] = (algo1LabelScores[label] || 0) + prototypeVote * 0.35;
-  });
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let frame = 0;
+    let last = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - last) * speed;
+      last = now;
+      setPosition((previous) => Math.min(duration, previous + elapsed));
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, speed, duration]);
 
-  const algo1Ranked = Object.entries(algo1LabelScores).sort((a, b) => b[1] - a[1]);
-  const algo1Probs = softmax(algo1Ranked.map(([, score]) => score));
-  const hyperDraw = {
-    label: algo1Ranked[0]?.[0] || "unknown",
-    confidence: Math.round((algo1Probs[0] || 0) * 100),
-  };
+  useEffect(() => {
+    if (position >= duration) setIsPlaying(false);
+  }, [position, duration]);
 
-  const prototypeNorm = Object.entries(prototypesNormalized)
-    .map(([label, proto]) => ({ label, distance: distance(normalizedInput, proto) / Math.sqrt(vector.length) }))
-    .sort((a, b) => a.distance - b.distance)[0];
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const strokes = strokeRecordToStrokes(drawing.strokes, canvas.width, position);
+    paintStrokes(canvas, strokes);
+
+    // Guess whenever new points appear, at most every 150ms while playing so the animation stays smooth.
+    const pointCount = strokes.reduce((total, stroke) => total + stroke.points.length, 0);
+    const now = performance.now();
+    if (pointCount === lastGuessRef.current.points) return;
+    if (isPlaying && position < duration && now - lastGuessRef.current.at < 150) return;
+    lastGuessRef.current = { at: now, points: pointCount };
+    guessRevisionRef.current += 1;
+    if (!pointCount || !hasTrainingData) {
+      setLiveGuess("…");
+      return;
+    }
+    if (!offscreenRef.current) offscreenRef.current = createVectorCanvas();
+    const request = { revision: guessRevisionRef.current, excludeIds: [classifierKey(drawing)] };
+    requestClassification(canvasToVector(canvas, offscreenRef.current), request).then(({ revision, live }) => {
+      if (revision !== guessRevisionRef.current) return;
+      const selected = selectedModel === "hyperdraw" ? live.hyperDraw : (selectedModel === "hyperdraw_v2" ? live.hyperDrawV2 : live.hyperDrawV2X);
+      setLiveGuess(selected.label);
+    });
+  }, [position, drawing, hasTrainingData, selectedModel, isPlaying, duration]);
 
-  const hyperDrawV2 = {
-    label: prototypeNorm?.label || "unknown",
-    confidence: Math.round((1 - Math.min(1, prototypeNorm?.distance || 1)) * 100),
+  const togglePlaying = () => {
+    if (!isPlaying && position >= duration) setPosition(0);
+    setIsPlaying((playing) => !playing);
   };
 
-  const hyperDrawV2X = runAlgorithms(vector, normalizedDataset.map((item) => ({ label: item.label, vector: item.normalizedVector }))).find((item) => item.id === 72) || { label: "unknown", confidence: 0 };
-
-  return { hyperDraw, hyperDrawV2, hyperDrawV2X };
+  return (
+    <div className="overlay-screen" onClick={onClose}>
+      <div className="card replay-card" onClick={(event) => event.stopPropagation()}>
+        <h2>Replay: {drawing.label}</h2>
+        <p className="subtitle">by {drawing.authorName || "anonymous"} · {new Date(drawing.ts).toLocaleString()}</p>
+        <canvas ref={canvasRef} width={DRAWING_CANVAS_SIZE} height={DRAWING_CANVAS_SIZE} aria-label="drawing replay" />
+        <p className="status-msg">Model guess: {liveGuess}</p>
+        <input
+          className="replay-scrubber"
+          type="range"
+          min="0"
+          max={duration}
+          step="10"
+          value={position}
+          onChange={(event) => setPosition(Number(event.target.value))}
+          aria-label="replay position"
+        />
+        <div className="row controls-row">
+          <button className="primary" type="button" onClick={togglePlaying}>{isPlaying ? "Pause" : "Play"}</button>
+          <label>
+            Speed&nbsp;
+            <select value={speed} onChange={(event) => setSpeed(Number(event.target.value))}>
+              {REPLAY_SPEEDS.map((value) => <option key={value} value={value}>{value}×</option>)}
+            </select>
+          </label>
+          <span>{(position / 1000).toFixed(1)}s / {(duration / 1000).toFixed(1)}s</span>
+          <button className="secondary" type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
-function runAlgorithms(vector, dataset) {
-  if (!dataset.length) {
-    return [
-      { id: 1, name: "Algorithm 1 (Current)", label: "Need training data first", confidence: 0 },
-      { id: 7, name: "Algorithm 7 (Prototype Normalized)", label: "Need training data first", confidence: 0 },
-      { id: 72, name: "Algorithm 72 (v2X transform-aware)", label: "Need training data first", confidence: 0 },
-    ];
-  }
-
-  const normalizedInput = normalizeVector(vector);
-  const prototypesNormalized = buildLabelPrototypes(dataset.map((item) => ({ ...item, vector: normalizeVector(item.vector) })));
-
-  const normalizedDistances = dataset
-    .map((item) => ({
-      label: item.label,
-      distance: distance(normalizedInput, normalizeVector(item.vector)) / Math.sqrt(vector.length),
-    }))
-    .sort((a, b) => a.distance - b.distance);
-
-  const algo1TopK = normalizedDistances.slice(0, Math.min(24, normalizedDistances.length));
-  const algo1LabelScores = algo1TopK.reduce((acc, item) => {
-    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance + 0.08, 0.001);
-    return acc;
-  }, {});
-
-  Object.entries(prototypesNormalized).forEach(([label, prototype]) => {
-    const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
-    const prototypeVote = 1 / Math.max(0.001, prototypeDistance + 0.06);
-    algo1LabelScores[label] = (algo1LabelScores[label] || 0) + prototypeVote * 0.35;
-  });
-
-  const algo1Ranked = Object.entries(algo1LabelScores).sort((a, b) => b[1] - a[1]);
-  const algo1Probs = softmax(algo1Ranked.map(([, score]) => score));
-  const algo1Guess = algo1Ranked[0]?.[0] || "unknown";
-  const algo1Confidence = Math.round((algo1Probs[0] || 0) * 100);
-
-  const prototypeNorm = Object.entries(prototypesNormalized)
-    .map(([label, proto]) => ({ label, distance: distance(normalizedInput, proto) / Math.sqrt(vector.length) }))
-    .sort((a, b) => a.distance - b.distance)[0];
-
-  const inputFeatures = extractLineFeaturesForSize(normalizedInput, GRID_SIZE);
-  const prototypeFeaturesByLabel = Object.entries(prototypesNormalized).reduce((acc, [label, prototype]) => {
-    acc[label] = extractLineFeaturesForSize(prototype, GRID_SIZE);
-    return acc;
-  }, {});
-
-  const datasetLabelCounts = dataset.reduce((acc, item) => {
-    acc[item.label] = (acc[item.label] || 0) + 1;
-    return acc;
-  }, {});
-  const datasetSize = Math.max(1, dataset.length);
-
-  const invariantInput = extractScaleAwareLineLengthFeatures(normalizedInput, GRID_SIZE);
-  const invariantPrototypeByLabel = Object.entries(prototypesNormalized).reduce((acc, [label, prototype]) => {
-    acc[label] = extractScaleAwareLineLengthFeatures(prototype, GRID_SIZE);
-    return acc;
-  }, {});
-  const invariantDistances = dataset
-    .map((item) => {
-      const sample = extractScaleAwareLineLengthFeatures(normalizeVector(item.vector), GRID_SIZE);
-      const transformDistance = minTransformDistanceForSize(invariantInput.normalized, sample.normalized, GRID_SIZE);
-      const lineLengthDistance = featureDistance(invariantInput.profile, sample.profile);
-      const densityGap = Math.abs(invariantInput.density - sample.density);
-      return {
-        label: item.label,
-        distance: transformDistance + lineLengthDistance * 0.12 + densityGap * 0.16,
-      };
-    })
-    .sort((a, b) => a.distance - b.distance);
-
-  const scoreAlgo7Variant = ({
-    lineBlend = 0,
-    densityWeight = 0,
-    centerWeight = 0,
-    neighborDepth = 0,
-    balancePenalty = 0,
-    temperature = 2,
-  }) => {
-    const topNeighbors = normalizedDistances.slice(0, Math.min(neighborDepth, normalizedDistances.length));
-    const ranked = Object.entries(prototypesNormalized)
-      .map(([label, prototype]) => {
-        const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
-        const prototypeFeatures = prototypeFeaturesByLabel[label];
-        const lineDistance = featureDistance(inputFeatures, prototypeFeatures);
-        const densityGap = Math.abs((inputFeatures[4] || 0) - (prototypeFeatures[4] || 0));
-        const centerGap =
-          Math.abs((inputFeatures[5] || 0.5) - (prototypeFeatures[5] || 0.5)) +
-          Math.abs((inputFeatures[6] || 0.5) - (prototypeFeatures[6] || 0.5));
-
-        const blendedDistance =
-          prototypeDistance * (1 - lineBlend) +
-          lineDistance * lineBlend +
-          densityGap * densityWeight +
-          centerGap * centerWeight;
-
-        const baseScore = 1 / Math.max(0.001, blendedDistance + 0.05);
-        const neighborScore = topNeighbors.reduce((bonus, neighbor, index) => {
-          if (neighbor.label !== label) return bonus;
-          return bonus + 0.05 / (index + 1);
-        }, 0);
-        const priorPenalty = ((datasetLabelCounts[label] || 0) / datasetSize) * balancePenalty;
-
-        return {
-          label,
-          score: baseScore + neighborScore - priorPenalty,
-        };
-      })
-      .sort((a, b) => b.score - a.score);
+// Covers the app until the personal key is unlocked. The canvas stays mounted underneath.
+function UnlockScreen({ hasPassphrase, onUnlock, onReset, onSkip }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [sessionLengthMs, setSessionLengthMs] = useState(() => loadSessionLength());
+  const [error, setError] = useState("");
+  const [isUnlocking, setIsUnlocking] = useState(false);
 
-    const probabilities = softmax(ranked.map((entry) => entry.score * temperature));
-    return {
-      label: ranked[0]?.label || "unknown",
-      confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
-    };
+  const submit = async (event) => {
+    event.preventDefault();
+    if (!hasPassphrase && passphrase.trim() !== confirmation.trim()) {
+      setError("The passphrases do not match.");
+      return;
+    }
+    setError("");
+    setIsUnlocking(true);
+    try {
+      await onUnlock(passphrase, sessionLengthMs);
+    } catch (unlockError) {
+      setError(unlockError.message || "Could not unlock.");
+      setIsUnlocking(false);
+    }
   };
 
-  const algorithm45 = scoreAlgo7Variant({ neighborDepth: 4 });
-  const algorithm57 = scoreAlgo7Variant({ neighborDepth: 4, lineBlend: 0.06, densityWeight: 0.04, centerWeight: 0.03, temperature: 2.35 });
-  const algorithm64 = scoreAlgo64(normalizedInput, dataset);
-  const algorithm65 = scoreAlgo65(normalizedInput, dataset);
-  const algorithm66 = scoreAlgo66(normalizedInput, dataset);
-
-  const scoreAlgo45TransformVariant = ({
-    neighborDepth = 6,
-    lineBlend = 0.12,
-    densityWeight = 0.04,
-    balancePenalty = 0,
-    temperature = 2.3,
-    centerWeight = 0,
-  }) => {
-    const topNeighbors = invariantDistances.slice(0, Math.min(neighborDepth, invariantDistances.length));
-    const ranked = Object.entries(invariantPrototypeByLabel)
-      .map(([label, prototype]) => {
-        const transformDistance = minTransformDistanceForSize(invariantInput.normalized, prototype.normalized, GRID_SIZE);
-        const lineDistance = featureDistance(invariantInput.profile, prototype.profile);
-        const densityGap = Math.abs(invariantInput.density - prototype.density);
-
-        const centerGap =
-          Math.abs((invariantInput.profile[2 * GRID_SIZE + 5] || 0.5) - (prototype.profile[2 * GRID_SIZE + 5] || 0.5)) +
-          Math.abs((invariantInput.profile[2 * GRID_SIZE + 6] || 0.5) - (prototype.profile[2 * GRID_SIZE + 6] || 0.5));
-
-        const blendedDistance =
-          transformDistance * (1 - lineBlend) +
-          lineDistance * lineBlend +
-          densityGap * densityWeight +
-          centerGap * centerWeight;
-
-        const baseScore = 1 / Math.max(0.001, blendedDistance + 0.04);
-        const neighborScore = topNeighbors.reduce((bonus, neighbor, index) => {
-          if (neighbor.label !== label) return bonus;
-          return bonus + 0.06 / (index + 1);
-        }, 0);
-        const priorPenalty = ((datasetLabelCounts[label] || 0) / datasetSize) * balancePenalty;
-
-        return { label, score: baseScore + neighborScore - priorPenalty };
-      })
-      .sort((a, b) => b.score - a.score);
-
-    const probabilities = softmax(ranked.map((entry) => entry.score * temperature));
-    return {
-      label: ranked[0]?.label || "unknown",
-      confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
-    };
+  const forgetPassphrase = async () => {
+    const confirmed = window.confirm(
+      "Forget the passphrase on this device? Drawings here are kept and re-uploaded under a new passphrase, but synced drawings only the old passphrase or your group keys can open stay unreadable here."
+    );
+    if (!confirmed) return;
+    await onReset();
+    setPassphrase("");
+    setConfirmation("");
+    setError("");
   };
 
-  const algorithm67 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.1, densityWeight: 0.04, temperature: 2.35 });
-  const algorithm68 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.16, densityWeight: 0.05, temperature: 2.3 });
-  const algorithm69 = scoreAlgo45TransformVariant({ neighborDepth: 7, lineBlend: 0.14, densityWeight: 0.04, balancePenalty: 0.08, temperature: 2.4 });
-  const algorithm70 = scoreAlgo45TransformVariant({ neighborDepth: 5, lineBlend: 0.11, densityWeight: 0.08, temperature: 2.3 });
-  const algorithm71 = scoreAlgo45TransformVariant({ neighborDepth: 9, lineBlend: 0.13, densityWeight: 0.04, temperature: 2.2 });
-  const algorithm72 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.13, densityWeight: 0.04, centerWeight: 0.05, temperature: 2.35 });
-  const algorithm73 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.12, densityWeight: 0.04, centerWeight: 0.03, temperature: 2.55 });
-  const algorithm74 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.22, densityWeight: 0.03, temperature: 2.3 });
-  const algorithm75 = scoreAlgo45TransformVariant({ neighborDepth: 7, lineBlend: 0.16, densityWeight: 0.04, balancePenalty: 0.14, temperature: 2.35 });
-  const algorithm76 = scoreAlgo45TransformVariant({ neighborDepth: 8, lineBlend: 0.18, densityWeight: 0.05, balancePenalty: 0.08, centerWeight: 0.03, temperature: 2.3 });
-
-  return [
-    { id: 1, name: "Algorithm 1 (v1 current)", label: algo1Guess, confidence: algo1Confidence },
-    { id: 7, name: "Algorithm 7 (v2 normalized)", label: prototypeNorm?.label || "unknown", confidence: Math.round((1 - Math.min(1, prototypeNorm?.distance || 1)) * 100) },
-    { id: 72, name: "Algorithm 72 (v2X transform-aware)", label: algorithm72.label, confidence: algorithm72.confidence },
-  ];
+  return (
+    <div className="unlock-screen">
+      <form className="card unlock-card" onSubmit={submit}>
+        <h2>{hasPassphrase ? "Unlock your drawings" : "Create a drawing passphrase"}</h2>
+        <p className="subtitle">
+          {hasPassphrase
+            ? "Your passphrase decrypts synced drawings in this browser."
+            : "Drawings are encrypted with this passphrase before they leave your browser. The server only stores encrypted blobs."}
+        </p>
+        <input type="password" value={passphrase} onChange={(event) => setPassphrase(event.target.value)} placeholder="Passphrase" aria-label="passphrase" autoFocus />
+        {!hasPassphrase && (
+          <input type="password" value={confirmation} onChange={(event) => setConfirmation(event.target.value)} placeholder="Repeat passphrase" aria-label="repeat passphrase" />
+        )}
+        <label>
+          Keep unlocked for&nbsp;
+          <select value={sessionLengthMs} onChange={(event) => setSessionLengthMs(Number(event.target.value))}>
+            {SESSION_LENGTH_OPTIONS.map((option) => <option key={option.ms} value={option.ms}>{option.label}</option>)}
+          </select>
+        </label>
+        {error && <p className="unlock-error">{error}</p>}
+        <button className="primary" type="submit" disabled={isUnlocking || !passphrase.trim()}>
+          {isUnlocking ? "Unlocking…" : "Unlock"}
+        </button>
+        <div className="row">
+          <button className="secondary" type="button" onClick={onSkip} disabled={isUnlocking}>Continue without sync</button>
+          {hasPassphrase && <button className="warn" type="button" onClick={forgetPassphrase} disabled={isUnlocking}>Forget passphrase</button>}
+        </div>
+      </form>
+    </div>
+  );
 }
 
-
-
 function App() {
   const canvasRef = useRef(null);
   const offscreenCanvasRef = useRef(null);
@@ -2274,8 +2491,13 @@ function App() {
   const drawingRevisionRef = useRef(0);
   const lastGuessedRevisionRef = useRef(-1);
   const guessTimeoutRef = useRef(null);
+  const guessInFlightRef = useRef(false);
+  const guessQueuedRef = useRef(false);
+  // The latest guessDrawing/scheduleGuess, for callbacks that outlive the render that created them.
+  const guessHandlersRef = useRef(null);
   const profileRef = useRef(loadUserProfile());
   const cryptoContextRef = useRef(null);
+  const downloadChainRef = useRef(Promise.resolve());
 
   const [dataset, setDataset] = useState(() => loadDataset());
   const [prompt, setPrompt] = useState(() => randomPrompt());
@@ -2298,41 +2520,220 @@ function App() {
   const [devStatsView, setDevStatsView] = useState("session");
   const [lastDoneResults, setLastDoneResults] = useState([]);
   const [onlinePlayers, setOnlinePlayers] = useState([]);
-  const preparedLiveDataset = useMemo(() => prepareLiveDataset(dataset), [dataset]);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [pendingUploadCount, setPendingUploadCount] = useState(() => getPendingDrawingIds().size);
+  const [lastSavedDrawingId, setLastSavedDrawingId] = useState(null);
+  const [roomInput, setRoomInput] = useState(CURRENT_ROOM);
+  const [activeGroupId, setActiveGroupId] = useState(null);
+  const [inviteCode, setInviteCode] = useState("");
+  const [lockState, setLockState] = useState("checking");
+  const [retentionConfig, setRetentionConfig] = useState(() => loadRetentionConfig());
+  const [retentionReport, setRetentionReport] = useState(null);
+  const [replayDrawing, setReplayDrawing] = useState(null);
+  const [curations, setCurations] = useState(() => loadCurations());
+  const trainingDataset = useMemo(() => applyCurations(dataset, curations), [dataset, curations]);
 
   useEffect(() => {
+    syncClassifierDataset(trainingDataset);
+  }, [trainingDataset]);
+
+  useEffect(() => {
+    outboxStore.onWriteFailed = () =>
+      setStatusMessage("Browser storage is full, so new drawings could not be queued for sync. Free up space or delete old drawings.");
+    return () => {
+      outboxStore.onWriteFailed = null;
+    };
+  }, []);
+
+  const reportSyncError = (error) => {
+    const message = describeSyncError(error);
+    if (message) setStatusMessage(message);
+  };
+
+  // Uploads the outbox, then downloads new drawings. A failed upload never blocks the download.
+  // The server refused to register this browser's id: another browser holds it, or it has drawings from
+  // before registration existed. Drawings that never reached the server move to a fresh id; drawings
+  // already uploaded keep their original author.
+  const switchToNewClientId = async (drawings) => {
+    const previousId = profileRef.current.clientId;
+    profileRef.current = { ...profileRef.current, clientId: randomId() };
+    setStorageItem(USER_PROFILE_STORAGE_KEY, JSON.stringify(profileRef.current));
+
+    const pendingIds = getPendingDrawingIds();
+    const moveToNewId = (items) =>
+      items.map((item) =>
+        item.clientId === previousId && pendingIds.has(item.id) ? { ...item, clientId: profileRef.current.clientId } : item
+      );
+    // Cached blobs are bound to the old id, so they are encrypted again.
+    await deleteOutboxBlobs([...pendingIds]);
+    setDataset((previous) => {
+      const moved = moveToNewId(previous);
+      saveDataset(moved);
+      return moved;
+    });
+    setStatusMessage("The sync server already knew this player id, so this browser now syncs under a new one.");
+    return moveToNewId(drawings);
+  };
+
+  const runServerSync = async ({ drawings, forceFullSync = false, isRetry = false }) => {
+    try {
+      const result = await syncWithServer({
+        profile: profileRef.current,
+        drawings,
+        cryptoContext: cryptoContextRef.current,
+      });
+      if (result) setOnlinePlayers(Array.isArray(result.online) ? result.online : []);
+      const rejectedMessage = describeRejectedUploads(Array.isArray(result?.rejected) ? result.rejected : []);
+      if (rejectedMessage) setStatusMessage(rejectedMessage);
+      if (result && (cryptoContextRef.current?.hasRetiredKeys || cryptoContextRef.current?.activeGroupId)) {
+        const rotatedKeyring = await rotateServerRecords(cryptoContextRef.current, profileRef.current.clientId);
+        if (rotatedKeyring) cryptoContextRef.current = rotatedKeyring;
+      }
+    } catch (error) {
+      if (error?.status === 409 && !isRetry) {
+        await runServerSync({ drawings: await switchToNewClientId(drawings), forceFullSync, isRetry: true });
+        return;
+      }
+      reportSyncError(error);
+    }
+    setPendingUploadCount(getPendingDrawingIds().size);
+    if (!getServerBaseUrl()) return;
+
+    // Downloads are chained so two download loops never race on the stored cursor.
+    downloadChainRef.current = downloadChainRef.current
+      .catch(() => {})
+      .then(() =>
+        downloadServerDrawings({
+          cryptoContext: cryptoContextRef.current,
+          forceFullSync,
+          // Pages are merged as they arrive; the dataset is trimmed once the download stops.
+          onDrawings: (incoming) => {
+            const pendingIds = getPendingDrawingIds();
+            const pendingDeletions = new Set(loadDeletionOutbox());
+            const kept = incoming.filter((item) => !pendingDeletions.has(item.id));
+            setDataset((previous) => {
+              const merged = mergeDrawingsById(previous, kept, pendingIds);
+              saveDataset(merged);
+              return merged;
+            });
+          },
+          onDeletions: (deletedIds) => {
+            const removed = new Set(deletedIds);
+            setDataset((previous) => {
+              const remaining = previous.filter((item) => !removed.has(item.id));
+              if (remaining.length === previous.length) return previous;
+              saveDataset(remaining);
+              return remaining;
+            });
+          },
+          onCurations: (records) => {
+            setCurations((previous) => {
+              const merged = mergeCurations(previous, records);
+              saveCurations(merged);
+              return merged;
+            });
+          },
+          onProgress: ({ loaded, total }) => {
+            setSyncProgress(loaded < total ? { loaded, total } : null);
+          },
+        })
+      )
+      .catch(reportSyncError)
+      .finally(() => {
+        setSyncProgress(null);
+        const pendingIds = getPendingDrawingIds();
+        setDataset((previous) => {
+          const trimmed = trimRoomDataset(previous, pendingIds, setRetentionReport);
+          if (trimmed === previous) return previous;
+          saveDataset(trimmed);
+          return trimmed;
+        });
+      });
+    await downloadChainRef.current;
+  };
+
+  // Runs once the personal key is available, from the session store or the unlock screen.
+  const startEncryptedSync = (personal) => {
     const profile = profileRef.current;
+    setLockState("unlocked");
 
-    getOrCreateCryptoContext()
+    loadCryptoKeyring(personal)
       .then((cryptoContext) => {
         cryptoContextRef.current = cryptoContext;
-        const currentDatasetWithProfile = dataset.map((item) => ({ ...item, authorName: profile.name }));
+        setActiveGroupId(cryptoContext.activeGroupId);
+        // Read from storage so drawings saved while the key was being derived are included.
+        const currentDataset = loadDataset();
+        const currentDatasetWithProfile = currentDataset.map((item) =>
+          isUploadableDrawing(item, profile.clientId) ? { ...item, authorName: profile.name } : item
+        );
+        if (!getStorageItem(roomStorageKey(SERVER_SYNC_REV_STORAGE_KEY))) {
+          enqueueOutboxDrawings(currentDataset.filter((item) => isUploadableDrawing(item, profile.clientId)).map((item) => item.id));
+        }
+        queueKeyRotation(cryptoContext, currentDataset, profile.clientId);
+        // Drawings uploaded before signing existed show as unverified to other clients, so ours are re-signed once per room.
+        if (cryptoContext.signing && !getStorageItem(roomStorageKey(SIGNED_UPLOAD_STORAGE_KEY))) {
+          enqueueOutboxDrawings(currentDataset.filter((item) => isUploadableDrawing(item, profile.clientId)).map((item) => item.id));
+          setStorageItem(roomStorageKey(SIGNED_UPLOAD_STORAGE_KEY), "1");
+        }
+        setPendingUploadCount(getPendingDrawingIds().size);
 
-        return syncWithServer({
-          profile,
-          drawings: currentDatasetWithProfile,
-          cryptoContext,
-          forceFullSync: true,
-        });
+        return runServerSync({ drawings: currentDatasetWithProfile, forceFullSync: !currentDataset.length });
       })
-      .then((result) => {
-        if (!result || !Array.isArray(result.drawings)) return;
-
-        setOnlinePlayers(Array.isArray(result.online) ? result.online : []);
-
-        return Promise.all(
-          result.drawings
-            .filter((item) => item && typeof item.enc === "string" && typeof item.iv === "string")
-            .map((item) => decryptDrawingEntry(item, cryptoContextRef.current))
-        ).then((decrypted) => {
-          const merged = decrypted.filter(Boolean).slice(-2000);
-          setDataset(merged);
+      .catch(() => {
+        // Silent fallback: app keeps working fully offline/local-only.
+      });
+  };
+
+  const unlock = async (passphrase, sessionLengthMs) => {
+    const personal = await unlockWithPassphrase(passphrase);
+    await saveSessionKey(personal, sessionLengthMs);
+    startEncryptedSync(personal);
+  };
+
+  const lockNow = async () => {
+    cryptoContextRef.current = null;
+    setActiveGroupId(null);
+    setInviteCode("");
+    setOnlinePlayers([]);
+    await clearSessionKey();
+    setLockState("locked");
+    setStatusMessage("Locked. Drawings are still saved on this device; unlock to sync them.");
+  };
+
+  const continueWithoutSync = () => {
+    setLockState("skipped");
+    setStatusMessage("Sync is off. Drawings are saved on this device; use Unlock to sync under Encryption keys in the AI Guess Console to sync them.");
+  };
+
+  const forgetEncryptionKeys = async () => {
+    await resetEncryption();
+    setActiveGroupId(null);
+    setStatusMessage("Passphrase forgotten. Choose a new one to sync again.");
+  };
+
+  useEffect(() => {
+    // Drawings saved before IndexedDB finished opening are only in memory, so merge them in rather than replace.
+    const datasetReady = openIndexedDataset()
+      .then((stored) => {
+        setDataset((previous) => {
+          const merged = trimRoomDataset(mergeDrawingsById(previous, stored, getPendingDrawingIds()), getPendingDrawingIds(), setRetentionReport);
           saveDataset(merged);
+          return merged;
         });
       })
       .catch(() => {
-        // Silent fallback: app keeps working fully offline/local-only.
+        // No IndexedDB: keep using the smaller localStorage dataset.
+      });
+
+    // Browsers without WebCrypto stay local-only instead of asking for a passphrase they cannot use.
+    if (!window.crypto?.subtle) {
+      setLockState("unavailable");
+    } else {
+      datasetReady.then(loadSessionKey).then((personal) => {
+        if (personal) startEncryptedSync(personal);
+        else setLockState("locked");
       });
+    }
 
     window.changeDrawingPlayerName = async (nextNameRaw) => {
       const nextName = `${nextNameRaw || ""}`.trim();
@@ -2341,18 +2742,17 @@ function App() {
       profileRef.current = { ...profileRef.current, name: nextName };
       setStorageItem(USER_PROFILE_STORAGE_KEY, JSON.stringify(profileRef.current));
 
-      const renamedLocal = loadDataset().map((item) => ({ ...item, authorName: nextName }));
+      const clientId = profileRef.current.clientId;
+      const renamedLocal = loadDataset().map((item) => (isUploadableDrawing(item, clientId) ? { ...item, authorName: nextName } : item));
       saveDataset(renamedLocal);
       setDataset(renamedLocal);
+      // The name is part of the signature, so own drawings are re-signed and re-uploaded.
+      enqueueOutboxDrawings(renamedLocal.filter((item) => isUploadableDrawing(item, clientId)).map((item) => item.id));
+      setPendingUploadCount(getPendingDrawingIds().size);
 
       try {
         if (!cryptoContextRef.current) return true;
-        await syncWithServer({
-          profile: profileRef.current,
-          drawings: renamedLocal,
-          cryptoContext: cryptoContextRef.current,
-          forceFullSync: true,
-        });
+        await runServerSync({ drawings: renamedLocal });
       } catch {
         // Local rename still succeeds even if server is currently unavailable.
       }
@@ -2422,7 +2822,7 @@ function App() {
     isDrawingRef.current = true;
     ctx.beginPath();
     ctx.moveTo(point.x, point.y);
-    activeStrokeRef.current = { points: [point], erase: isErasing };
+    activeStrokeRef.current = { points: [{ ...point, t: Date.now() }], erase: isErasing };
     strokesRef.current.push(activeStrokeRef.current);
   };
 
@@ -2433,7 +2833,7 @@ function App() {
     const point = getPoint(event);
     ctx.lineTo(point.x, point.y);
     ctx.stroke();
-    activeStrokeRef.current?.points?.push(point);
+    activeStrokeRef.current?.points?.push({ ...point, t: Date.now() });
     drawingRevisionRef.current += 1;
   };
 
@@ -2471,21 +2871,7 @@ function App() {
     const ctx = canvas?.getContext("2d");
     if (!ctx || !canvas) return;
 
-    ctx.fillStyle = "white";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-
-    strokesRef.current.forEach((stroke) => {
-      if (!stroke || !Array.isArray(stroke.points) || stroke.points.length < 2) return;
-      ctx.beginPath();
-      ctx.strokeStyle = stroke.erase ? "#ffffff" : "#111827";
-      ctx.lineWidth = stroke.erase ? 32 : 20;
-      ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-      stroke.points.slice(1).forEach((point) => ctx.lineTo(point.x, point.y));
-      ctx.stroke();
-      ctx.closePath();
-    });
+    paintStrokes(canvas, strokesRef.current);
 
     ctx.strokeStyle = isErasing ? "#ffffff" : "#111827";
     ctx.lineWidth = isErasing ? 32 : 20;
@@ -2514,26 +2900,8 @@ function App() {
   const vectorizeCanvas = () => {
     const canvas = canvasRef.current;
     if (!canvas) return new Array(GRID_SIZE * GRID_SIZE).fill(0);
-
-    if (!offscreenCanvasRef.current) {
-      const offscreen = document.createElement("canvas");
-      offscreen.width = GRID_SIZE;
-      offscreen.height = GRID_SIZE;
-      offscreenCanvasRef.current = offscreen;
-    }
-
-    const octx = offscreenCanvasRef.current.getContext("2d");
-    octx.fillStyle = "white";
-    octx.fillRect(0, 0, GRID_SIZE, GRID_SIZE);
-    octx.drawImage(canvas, 0, 0, GRID_SIZE, GRID_SIZE);
-
-    const { data } = octx.getImageData(0, 0, GRID_SIZE, GRID_SIZE);
-    const vec = [];
-    for (let i = 0; i < data.length; i += 4) {
-      const gray = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      vec.push(1 - gray / 255);
-    }
-    return vec;
+    if (!offscreenCanvasRef.current) offscreenCanvasRef.current = createVectorCanvas();
+    return canvasToVector(canvas, offscreenCanvasRef.current);
   };
 
   const getDrawingStats = () => {
@@ -2569,26 +2937,45 @@ function App() {
       return;
     }
 
-    if (dataset.length === 0) {
+    if (trainingDataset.length === 0) {
       setGuess("Need training data first");
       setStatusMessage("Train me with a few drawings before guessing.");
       setLastDoneResults([]);
       return;
     }
 
-    const { hyperDraw, hyperDrawV2, hyperDrawV2X } = runLiveAlgorithmsPrepared(drawingStats.vec, preparedLiveDataset);
-    const selected = selectedModel === "hyperdraw" ? hyperDraw : (selectedModel === "hyperdraw_v2" ? hyperDrawV2 : hyperDrawV2X);
-
-    setGuess(selected.label);
-    setCompareResults({
-      hyperDraw: { label: hyperDraw.label },
-      hyperDrawV2: { label: hyperDrawV2.label },
-      hyperDrawV2X: { label: hyperDrawV2X.label },
-    });
-    if (devMode) {
-      setLastDoneResults(runAlgorithms(drawingStats.vec, dataset));
+    // One request at a time: strokes that end while the worker is busy are guessed once it answers.
+    if (guessInFlightRef.current) {
+      guessQueuedRef.current = true;
+      return;
     }
-    setStatusMessage("");
+    guessInFlightRef.current = true;
+    requestClassification(drawingStats.vec, { revision: drawingRevisionRef.current, includeAll: devMode }).then(({ revision, live, results }) => {
+      // The canvas changed while the worker was scoring, so this answer is for a drawing that is gone.
+      if (revision !== drawingRevisionRef.current) return;
+
+      const { hyperDraw, hyperDrawV2, hyperDrawV2X } = live;
+      const selected = selectedModel === "hyperdraw" ? hyperDraw : (selectedModel === "hyperdraw_v2" ? hyperDrawV2 : hyperDrawV2X);
+
+      setGuess(selected.label);
+      setCompareResults({
+        hyperDraw: { label: hyperDraw.label },
+        hyperDrawV2: { label: hyperDrawV2.label },
+        hyperDrawV2X: { label: hyperDrawV2X.label },
+      });
+      if (devMode) {
+        setLastDoneResults(results);
+      }
+      setStatusMessage("");
+    }).catch(() => {
+      setStatusMessage("The AI could not guess this drawing. Keep drawing to try again.");
+    }).finally(() => {
+      guessInFlightRef.current = false;
+      if (guessQueuedRef.current) {
+        guessQueuedRef.current = false;
+        guessHandlersRef.current.scheduleGuess(true);
+      }
+    });
   };
 
   const scheduleGuess = (immediate = false) => {
@@ -2605,10 +2992,11 @@ function App() {
     guessTimeoutRef.current = setTimeout(() => {
       if (drawingRevisionRef.current === lastGuessedRevisionRef.current && !immediate) return;
       lastGuessedRevisionRef.current = drawingRevisionRef.current;
-      guessDrawing();
+      guessHandlersRef.current.guessDrawing();
       guessTimeoutRef.current = null;
     }, delay);
   };
+  guessHandlersRef.current = { guessDrawing, scheduleGuess };
 
   const stopDrawingAndGuess = () => {
     stopDrawing();
@@ -2633,65 +3021,75 @@ function App() {
     }
 
     const { vec } = drawingStats;
-    const { hyperDraw, hyperDrawV2, hyperDrawV2X } = runLiveAlgorithmsPrepared(vec, preparedLiveDataset);
-    const results = devMode ? runAlgorithms(vec, dataset) : [];
-
-    setCompareResults({
-      hyperDraw: { label: hyperDraw.label },
-      hyperDrawV2: { label: hyperDrawV2.label },
-      hyperDrawV2X: { label: hyperDrawV2X.label },
-    });
-    setLastDoneResults(results);
-    if (devMode) {
-      setAlgorithmStats((previous) =>
-        previous.map((algo) => {
-          const result = results.find((entry) => entry.id === algo.id);
-          const gotItRight = result?.label === prompt;
-          return {
-            ...algo,
-            attempts: algo.attempts + 1,
-            correct: algo.correct + (gotItRight ? 1 : 0),
-          };
-        })
-      );
-      setSessionAlgorithmStats((previous) =>
-        previous.map((algo) => {
-          const result = results.find((entry) => entry.id === algo.id);
-          const gotItRight = result?.label === prompt;
-          return {
-            ...algo,
-            attempts: algo.attempts + 1,
-            correct: algo.correct + (gotItRight ? 1 : 0),
-          };
-        })
-      );
-    }
+    // Scored against the training set from before this drawing; the worker sees the update afterwards.
+    requestClassification(vec, { includeAll: devMode }).then(({ live, results }) => {
+      const { hyperDraw, hyperDrawV2, hyperDrawV2X } = live;
+      setCompareResults({
+        hyperDraw: { label: hyperDraw.label },
+        hyperDrawV2: { label: hyperDrawV2.label },
+        hyperDrawV2X: { label: hyperDrawV2X.label },
+      });
+      setLastDoneResults(results);
+      if (devMode) {
+        setAlgorithmStats((previous) =>
+          previous.map((algo) => {
+            const result = results.find((entry) => entry.id === algo.id);
+            const gotItRight = result?.label === prompt;
+            return {
+              ...algo,
+              attempts: algo.attempts + 1,
+              correct: algo.correct + (gotItRight ? 1 : 0),
+            };
+          })
+        );
+        setSessionAlgorithmStats((previous) =>
+          previous.map((algo) => {
+            const result = results.find((entry) => entry.id === algo.id);
+            const gotItRight = result?.label === prompt;
+            return {
+              ...algo,
+              attempts: algo.attempts + 1,
+              correct: algo.correct + (gotItRight ? 1 : 0),
+            };
+          })
+        );
+      }
 
-    setCompareStats((previous) => {
-      const next = { ...previous, attempts: previous.attempts + 1 };
-      const hyperDrawCorrect = hyperDraw.label === prompt;
-      const hyperDrawV2Correct = hyperDrawV2.label === prompt;
-      const hyperDrawV2XCorrect = hyperDrawV2X.label === prompt;
-      const maxCorrect = Math.max(hyperDrawCorrect ? 1 : 0, hyperDrawV2Correct ? 1 : 0, hyperDrawV2XCorrect ? 1 : 0);
-      if (maxCorrect === 0 || [hyperDrawCorrect, hyperDrawV2Correct, hyperDrawV2XCorrect].filter(Boolean).length > 1) next.ties += 1;
-      else if (hyperDrawCorrect) next.hyperDrawWins += 1;
-      else if (hyperDrawV2Correct) next.hyperDrawV2Wins += 1;
-      else next.hyperDrawV2XWins += 1;
-      return next;
+      setCompareStats((previous) => {
+        const next = { ...previous, attempts: previous.attempts + 1 };
+        const hyperDrawCorrect = hyperDraw.label === prompt;
+        const hyperDrawV2Correct = hyperDrawV2.label === prompt;
+        const hyperDrawV2XCorrect = hyperDrawV2X.label === prompt;
+        const maxCorrect = Math.max(hyperDrawCorrect ? 1 : 0, hyperDrawV2Correct ? 1 : 0, hyperDrawV2XCorrect ? 1 : 0);
+        if (maxCorrect === 0 || [hyperDrawCorrect, hyperDrawV2Correct, hyperDrawV2XCorrect].filter(Boolean).length > 1) next.ties += 1;
+        else if (hyperDrawCorrect) next.hyperDrawWins += 1;
+        else if (hyperDrawV2Correct) next.hyperDrawV2Wins += 1;
+        else next.hyperDrawV2XWins += 1;
+        return next;
+      });
     });
 
     const profile = profileRef.current;
-    const updated = [
-      ...dataset,
-      { id: randomId(), label: prompt, vector: vec, ts: Date.now(), authorName: profile.name, clientId: profile.clientId },
-    ].slice(-2000);
+    const strokes = createStrokeRecord(strokesRef.current, canvasRef.current?.width || DRAWING_CANVAS_SIZE);
+    const entry = {
+      id: randomId(),
+      label: prompt,
+      vector: vec,
+      ts: Date.now(),
+      authorName: profile.name,
+      clientId: profile.clientId,
+      ...(strokes ? { strokes } : {}),
+    };
+    enqueueOutboxDrawings([entry.id]);
+    const updated = trimRoomDataset([...dataset, entry], getPendingDrawingIds(), setRetentionReport);
     setDataset(updated);
     saveDataset(updated);
+    setPendingUploadCount(getPendingDrawingIds().size);
+    setLastSavedDrawingId(entry.id);
 
     if (cryptoContextRef.current) {
-      syncWithServer({ profile, drawings: updated, cryptoContext: cryptoContextRef.current }).catch(() => {
-        // Keep local save successful even if server is unavailable.
-      });
+      // runServerSync reports actionable errors itself; the local save already succeeded.
+      runServerSync({ drawings: updated });
     } else {
       // Keep local save successful even if server is unavailable.
     }
@@ -2701,6 +3099,197 @@ function App() {
     setStatusMessage("Done! Added to dataset and moved to the next prompt.");
   };
 
+  const deleteOwnDrawings = (ids) => {
+    const clientId = profileRef.current.clientId;
+    const requested = new Set(ids);
+    const ownIds = new Set(
+      dataset.filter((item) => requested.has(item.id) && item.clientId === clientId).map((item) => item.id)
+    );
+    if (!ownIds.size) {
+      setStatusMessage("You can only delete your own drawings.");
+      return;
+    }
+
+    dropOutboxDrawings([...ownIds]);
+    if (getServerBaseUrl()) saveDeletionOutbox([...loadDeletionOutbox(), ...ownIds]);
+
+    const updated = dataset.filter((item) => !ownIds.has(item.id));
+    setDataset(updated);
+    saveDataset(updated);
+    setPendingUploadCount(getPendingDrawingIds().size);
+    if (ownIds.has(lastSavedDrawingId)) setLastSavedDrawingId(null);
+    setStatusMessage(ownIds.size === 1 ? "Drawing deleted." : `${ownIds.size} drawings deleted.`);
+
+    if (cryptoContextRef.current) runServerSync({ drawings: updated });
+  };
+
+  // Every room has its own local dataset and sync state, so switching rooms reloads into the new one.
+  const joinRoom = (event) => {
+    event.preventDefault();
+    const room = normalizeRoomName(roomInput);
+    if (!room) {
+      setStatusMessage("Room names use lowercase letters, numbers and dashes (up to 40 characters).");
+      return;
+    }
+    if (room === CURRENT_ROOM) return;
+    setStorageItem(SERVER_ROOM_STORAGE_KEY, room);
+    const url = new URL(window.location.href);
+    url.searchParams.set("room", room);
+    window.location.assign(url.toString());
+  };
+
+  const applyKeyring = (cryptoContext) => {
+    cryptoContextRef.current = cryptoContext;
+    setActiveGroupId(cryptoContext.activeGroupId);
+    setInviteCode("");
+  };
+
+  // Switching the room to a group key re-encrypts our drawings in it, so teammates can train on them too.
+  const applyGroupKeyring = (cryptoContext) => {
+    applyKeyring(cryptoContext);
+    queueKeyRotation(cryptoContext, dataset, profileRef.current.clientId);
+    setPendingUploadCount(getPendingDrawingIds().size);
+  };
+
+  const createSharedGroup = async () => {
+    if (!cryptoContextRef.current) return;
+    try {
+      applyGroupKeyring(await createGroupKey(cryptoContextRef.current));
+      setStatusMessage("Group key created. Your drawings in this room are being re-encrypted with it.");
+      runServerSync({ drawings: dataset });
+    } catch {
+      setStatusMessage("Could not create a group key.");
+    }
+  };
+
+  const createInvite = async () => {
+    if (!cryptoContextRef.current) return;
+    const invitePassword = window.prompt("Choose an invite password. Share it separately from the invite code.") || "";
+    if (!invitePassword.trim()) return;
+    try {
+      setInviteCode(await createInviteCode(cryptoContextRef.current, invitePassword));
+      setStatusMessage("Invite created. Send the code and the password through different channels.");
+    } catch (error) {
+      setStatusMessage(error.message || "Could not create an invite.");
+    }
+  };
+
+  // Joining re-downloads the room so drawings teammates made before we had the key become readable.
+  const joinWithInvite = async () => {
+    if (!cryptoContextRef.current) return;
+    const code = window.prompt("Paste the invite code") || "";
+    if (!code.trim()) return;
+    const invitePassword = window.prompt("Enter the invite password") || "";
+    if (!invitePassword) return;
+    try {
+      applyGroupKeyring(await joinGroupWithInvite(cryptoContextRef.current, code, invitePassword));
+      setStatusMessage("Joined the group. Your drawings in this room are being re-encrypted with the shared key.");
+      runServerSync({ drawings: dataset, forceFullSync: true });
+    } catch (error) {
+      setStatusMessage(error.message || "Could not join with that invite.");
+    }
+  };
+
+  // The old key stays in the keyring, so drawings not re-uploaded yet remain readable meanwhile.
+  const changeDrawingPassphrase = async () => {
+    if (!cryptoContextRef.current) return;
+    const currentPassphrase = (window.prompt("Enter your current drawing passphrase") || "").trim();
+    if (!currentPassphrase) return;
+    const nextPassphrase = (window.prompt("Choose a new drawing passphrase") || "").trim();
+    if (!nextPassphrase) return;
+    if ((window.prompt("Type the new passphrase again") || "").trim() !== nextPassphrase) {
+      setStatusMessage("The new passphrases did not match. Nothing was changed.");
+      return;
+    }
+    try {
+      const cryptoContext = await changePassphrase(currentPassphrase, nextPassphrase);
+      await saveSessionKey(cryptoContext.personal, loadSessionLength());
+      applyKeyring(cryptoContext);
+      queueKeyRotation(cryptoContext, dataset, profileRef.current.clientId);
+      setPendingUploadCount(getPendingDrawingIds().size);
+      setStatusMessage("Passphrase changed. Your drawings are being re-encrypted and uploaded.");
+      runServerSync({ drawings: dataset });
+    } catch (error) {
+      setStatusMessage(error.message || "Could not change the passphrase.");
+    }
+  };
+
+  const curateDrawing = (drawingId, action, label) => {
+    const record = normalizeCurationRecord({
+      id: curationRecordId(profileRef.current.clientId, drawingId),
+      drawingId,
+      action,
+      label,
+      at: Date.now(),
+      by: profileRef.current.clientId,
+    });
+    if (!record) return;
+    const merged = mergeCurations(curations, [record]);
+    setCurations(merged);
+    saveCurations(merged);
+    if (getServerBaseUrl()) saveCurationOutbox([...loadCurationOutbox().filter((queued) => queued.id !== record.id), record]);
+    setStatusMessage(action === "clear" ? "Curation cleared." : `Drawing ${describeCuration(record)}.`);
+    if (cryptoContextRef.current) runServerSync({ drawings: dataset });
+  };
+
+  const exportDataset = (options) => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(`yourdrawingssuckai-${CURRENT_ROOM}-${date}.ndjson`, new Blob([createDatasetExport(dataset, options)], { type: "application/x-ndjson" }));
+  };
+
+  // Imported drawings are merged locally only; they are not the importer's to sign or upload.
+  // Resolves once the merge has run, so the report counts what trimDataset actually kept.
+  const importDataset = async (file, onProgress) => {
+    const { items, report } = await importDatasetFile(file, dataset.map((item) => item.id), onProgress);
+    const pendingIds = getPendingDrawingIds();
+    return new Promise((resolve) => {
+      setDataset((previous) => {
+        const present = new Set(previous.map((item) => item.id));
+        const fresh = items.filter((item) => !present.has(item.id)).map((item) => ({ ...item, source: "import" }));
+        const merged = trimRoomDataset(mergeDrawingsById(previous, fresh, pendingIds), pendingIds, setRetentionReport);
+        const mergedIds = new Set(merged.map((item) => item.id));
+        resolve(describeImportReport(fresh.length, fresh.filter((item) => mergedIds.has(item.id)).length, report));
+        saveDataset(merged);
+        return merged;
+      });
+    });
+  };
+
+  const updateRetentionConfig = (changes) => {
+    setRetentionConfig((previous) => {
+      const next = { ...previous, ...changes };
+      saveRetentionConfig(next);
+      return next;
+    });
+  };
+
+  const retractLastDrawing = () => {
+    if (!lastSavedDrawingId) return;
+    deleteOwnDrawings([lastSavedDrawingId]);
+    setStatusMessage("Retracted your last drawing.");
+  };
+
+  const exportCurrentDrawing = (format) => {
+    const canvas = canvasRef.current;
+    if (!canvas || !strokesRef.current.some((stroke) => stroke?.points?.length > 1)) {
+      setStatusMessage("Draw something first — there is nothing to export yet.");
+      return;
+    }
+    const baseName = `${prompt.replace(/\s+/g, "-")}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+
+    if (format === "png") {
+      canvas.toBlob((blob) => blob && downloadBlob(`${baseName}.png`, blob), "image/png");
+    } else if (format === "svg") {
+      downloadBlob(`${baseName}.svg`, new Blob([strokesToSvg(strokesRef.current, canvas.width)], { type: "image/svg+xml" }));
+    } else if (format === "vector-json") {
+      const vector = vectorizeCanvas().map((value) => Math.round(value * 10000) / 10000);
+      const text = JSON.stringify({ label: prompt, size: GRID_SIZE, vector }, null, 2);
+      downloadBlob(`${baseName}-vector.json`, new Blob([`${text}\n`], { type: "application/json" }));
+    } else if (format === "vector-png") {
+      vectorToImageCanvas(vectorizeCanvas(), 16).toBlob((blob) => blob && downloadBlob(`${baseName}-vector.png`, blob), "image/png");
+    }
+  };
+
   const promptCounts = useMemo(
     () =>
       dataset.reduce((acc, item) => {
@@ -2710,13 +3299,41 @@ function App() {
     [dataset]
   );
 
+  const ownDrawings = useMemo(
+    () => dataset.filter((item) => item.clientId === profileRef.current.clientId).slice(-8).reverse(),
+    [dataset]
+  );
+
+  // Authors should find out when someone else flags or excludes their drawings.
+  const curatedOwnCount = useMemo(
+    () =>
+      dataset.filter((item) => {
+        const curation = curations[item.id];
+        return item.clientId === profileRef.current.clientId && curation && curation.action !== "clear" && curation.by !== item.clientId;
+      }).length,
+    [dataset, curations]
+  );
+
   return (
     <main className="app">
+      {lockState === "locked" && (
+        <UnlockScreen hasPassphrase={Boolean(loadCryptoConfig())} onUnlock={unlock} onReset={forgetEncryptionKeys} onSkip={continueWithoutSync} />
+      )}
+      {replayDrawing && (
+        <ReplayViewer
+          drawing={replayDrawing}
+          hasTrainingData={trainingDataset.length > 0}
+          selectedModel={selectedModel}
+          onClose={() => setReplayDrawing(null)}
+        />
+      )}
+
       <h1>YourDrawingsSuck.AI</h1>
       <p className="subtitle">Get a random object, draw it, and let our hilariously judgy AI guess from community sketches. Server sync is end-to-end encrypted in your browser.</p>
 
       <div className="row">
         <button className={`secondary ${activeTab === "draw" ? "active" : ""}`} onClick={() => setActiveTab("draw")}>Draw Lab</button>
+        <button className={`secondary ${activeTab === "gallery" ? "active" : ""}`} onClick={() => setActiveTab("gallery")}>Gallery</button>
         <button className={`secondary ${activeTab === "articles" ? "active" : ""}`} onClick={() => setActiveTab("articles")}>Articles</button>
       </div>
 
@@ -2741,6 +3358,14 @@ function App() {
             <button className={`secondary ${!isErasing ? "active" : ""}`} onClick={() => setIsErasing(false)}>Draw</button>
             <button className={`secondary ${isErasing ? "active" : ""}`} onClick={() => setIsErasing(true)}>Eraser</button>
             <button className="primary" onClick={saveDrawing}>Done</button>
+            <select value="" onChange={(event) => exportCurrentDrawing(event.target.value)} aria-label="export drawing">
+              <option value="" disabled>Export…</option>
+              <option value="png">PNG image</option>
+              <option value="svg">SVG strokes</option>
+              <option value="vector-json">16x16 vector (JSON)</option>
+              <option value="vector-png">16x16 vector (image)</option>
+            </select>
+            {lastSavedDrawingId && <button className="warn" onClick={retractLastDrawing}>Retract last</button>}
             <button className="warn" onClick={clearCanvas}>Clear</button>
             <button className="secondary" onClick={undoLastStroke}>Undo</button>
             <button className="secondary" onClick={skipObject}>Skip object</button>
@@ -2792,7 +3417,60 @@ function App() {
             <div className="stat"><div>Objects learned</div><div className="big">{Object.keys(promptCounts).length}</div></div>
           </div>
 
-          <h3>Online now ({onlinePlayers.length})</h3>
+          {syncProgress && (
+            <p className="status-msg">
+              Syncing community drawings… {Math.round((syncProgress.loaded / Math.max(1, syncProgress.total)) * 100)}% ({syncProgress.loaded}/{syncProgress.total})
+            </p>
+          )}
+
+          {pendingUploadCount > 0 && getServerBaseUrl() && (
+            <p className="status-msg">
+              {pendingUploadCount} drawing{pendingUploadCount === 1 ? "" : "s"} waiting to upload. They stay on this device until the server confirms them.
+            </p>
+          )}
+
+          {getServerBaseUrl() && (
+            <form className="row room-row" onSubmit={joinRoom}>
+              <label>
+                Room:&nbsp;
+                <input value={roomInput} onChange={(event) => setRoomInput(event.target.value)} aria-label="room name" />
+              </label>
+              <button className="secondary" type="submit">Join</button>
+            </form>
+          )}
+
+          {getServerBaseUrl() && lockState === "skipped" && (
+            <>
+              <h3>Encryption keys</h3>
+              <p className="subtitle">Sync is off until you unlock your drawing passphrase.</p>
+              <div className="row">
+                <button className="primary" type="button" onClick={() => setLockState("locked")}>Unlock to sync</button>
+              </div>
+            </>
+          )}
+
+          {getServerBaseUrl() && lockState !== "skipped" && (
+            <>
+              <h3>Encryption keys</h3>
+              <p className="subtitle">
+                {activeGroupId ? "New drawings in this room use your group's shared key." : "New drawings use your personal key. Create or join a group to share them with teammates."}
+              </p>
+              <div className="row">
+                <button className="secondary" type="button" onClick={createSharedGroup}>Create group key</button>
+                {activeGroupId && <button className="secondary" type="button" onClick={createInvite}>Create invite</button>}
+                <button className="secondary" type="button" onClick={joinWithInvite}>Join with invite</button>
+                <button className="secondary" type="button" onClick={changeDrawingPassphrase}>Change passphrase</button>
+                <button className="warn" type="button" onClick={lockNow}>Lock now</button>
+              </div>
+              {inviteCode && (
+                <div className="row">
+                  <input className="invite-code" value={inviteCode} readOnly aria-label="invite code" onFocus={(event) => event.target.select()} />
+                </div>
+              )}
+            </>
+          )}
+
+          <h3>Online now in {CURRENT_ROOM} ({onlinePlayers.length})</h3>
           <ul>
             {onlinePlayers.length === 0 ? <li>No active players right now.</li> : onlinePlayers.map((player) => <li key={player.clientId}>{player.name}</li>)}
           </ul>
@@ -2813,6 +3491,27 @@ function App() {
               .map(([label, count]) => <li key={label}>{label}: {count}</li>)}
           </ul>
 
+          <h3>Your recent drawings</h3>
+          {curatedOwnCount > 0 && (
+            <p className="status-msg">
+              Other players curated {curatedOwnCount} of your drawings. Open them in the Gallery to see how.
+            </p>
+          )}
+          <ul className="own-drawings">
+            {ownDrawings.length === 0 ? <li>You have not saved any drawings yet.</li> : ownDrawings.map((item) => (
+              <li key={item.id}>
+                <span>
+                  {item.label} · {new Date(item.ts).toLocaleString()}
+                  {describeCuration(curations[item.id]) && <span className="curation-badge">{describeCuration(curations[item.id])}</span>}
+                </span>
+                <span className="row-actions">
+                  {item.strokes && <button className="secondary small" onClick={() => setReplayDrawing(item)}>Replay</button>}
+                  <button className="warn small" onClick={() => deleteOwnDrawings([item.id])}>Delete</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+
           {devMode && (
             <>
               <h3>Algorithm lab</h3>
@@ -2859,10 +3558,56 @@ function App() {
                     );
                   })}
               </div>
+
+              <h3>Dataset retention</h3>
+              <p>
+                Keeps up to {datasetCapacity().toLocaleString()} drawings in this room. Every object keeps its best examples first, then the rest are ranked by recency and quality.
+              </p>
+              <div className="row room-row">
+                <label>
+                  Min per object&nbsp;
+                  <input
+                    type="number"
+                    min="0"
+                    max="500"
+                    value={retentionConfig.minPerLabel}
+                    onChange={(event) => updateRetentionConfig({ minPerLabel: Math.max(0, Math.floor(Number(event.target.value) || 0)) })}
+                  />
+                </label>
+                <label>
+                  Quality weight&nbsp;
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={retentionConfig.qualityWeight}
+                    onChange={(event) => updateRetentionConfig({ qualityWeight: Math.min(1, Math.max(0, Number(event.target.value) || 0)) })}
+                  />
+                </label>
+              </div>
+              <p>
+                {retentionReport
+                  ? `Last trim (${new Date(retentionReport.at).toLocaleTimeString()}) evicted ${retentionReport.evicted} drawings, keeping at least ${retentionReport.floor} per object: ${Object.entries(retentionReport.evictedByLabel)
+                      .sort((a, b) => b[1] - a[1])
+                      .map(([label, count]) => `${label} ${count}`)
+                      .join(", ")}.`
+                  : "Nothing has been evicted this session."}
+              </p>
             </>
           )}
         </aside>
       </div>
+      ) : activeTab === "gallery" ? (
+        <GalleryTab
+          dataset={dataset}
+          curations={curations}
+          ownClientId={profileRef.current.clientId}
+          onReplay={setReplayDrawing}
+          onCurate={curateDrawing}
+          onExport={exportDataset}
+          onImport={importDataset}
+        />
       ) : (
         <section className="card article-card">
           <h2>HyperDraw Articles</h2>
@@ -0,0 +1,15 @@
+// Runs the scoring models off the main thread so strokes never wait on a guess. See classifier.js.
+importScripts("classifier.js");
+
+const state = createClassifierState();
+
+self.onmessage = ({ data }) => {
+  if (data.type === "dataset") {
+    updateClassifierState(state, data);
+    return;
+  }
+  if (data.type === "classify") {
+    const { requestId, revision, vector, includeAll, excludeIds } = data;
+    self.postMessage({ requestId, revision, ...classifyWithState(state, vector, includeAll, excludeIds) });
+  }
+};
@@ -0,0 +1,1910 @@
+// Scoring models for the 16x16 drawing vectors. Plain script with no DOM access: index.html loads it
+// before app.js, and classifier-worker.js loads it with importScripts.
+
+const GRID_SIZE = 16;
+
+function distance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const d = a[i] - b[i];
+    total += d * d;
+  }
+  return Math.sqrt(total);
+}
+
+function softmax(values) {
+  if (values.length === 0) return [];
+  const peak = Math.max(...values);
+  const exps = values.map((value) => Math.exp(value - peak));
+  const total = exps.reduce((sum, value) => sum + value, 0);
+  return exps.map((value) => value / total);
+}
+
+function boundingBox(vector) {
+  let minX = GRID_SIZE;
+  let maxX = -1;
+  let minY = GRID_SIZE;
+  let maxY = -1;
+
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      const value = vector[y * GRID_SIZE + x];
+      if (value <= 0.05) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  if (maxX < minX || maxY < minY) return null;
+
+  return { minX, maxX, minY, maxY };
+}
+
+function normalizeVector(vector) {
+  const box = boundingBox(vector);
+  if (!box) return vector;
+
+  const width = box.maxX - box.minX + 1;
+  const height = box.maxY - box.minY + 1;
+  const scale = Math.max(width, height);
+
+  const output = new Array(vector.length).fill(0);
+  const offsetX = Math.floor((GRID_SIZE - scale) / 2);
+  const offsetY = Math.floor((GRID_SIZE - scale) / 2);
+
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      const sourceX = box.minX + ((x - offsetX) / scale) * width;
+      const sourceY = box.minY + ((y - offsetY) / scale) * height;
+      const ix = Math.floor(sourceX);
+      const iy = Math.floor(sourceY);
+
+      if (ix < box.minX || ix > box.maxX || iy < box.minY || iy > box.maxY) continue;
+
+      const value = vector[iy * GRID_SIZE + ix];
+      output[y * GRID_SIZE + x] = value > 0.05 ? value : 0;
+    }
+  }
+
+  return output;
+}
+
+function sampleVectorBilinear(vector, x, y) {
+  if (x < 0 || x > GRID_SIZE - 1 || y < 0 || y > GRID_SIZE - 1) return 0;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(GRID_SIZE - 1, x0 + 1);
+  const y1 = Math.min(GRID_SIZE - 1, y0 + 1);
+  const dx = x - x0;
+  const dy = y - y0;
+
+  const v00 = vector[y0 * GRID_SIZE + x0] || 0;
+  const v10 = vector[y0 * GRID_SIZE + x1] || 0;
+  const v01 = vector[y1 * GRID_SIZE + x0] || 0;
+  const v11 = vector[y1 * GRID_SIZE + x1] || 0;
+
+  const top = v00 * (1 - dx) + v10 * dx;
+  const bottom = v01 * (1 - dx) + v11 * dx;
+  return top * (1 - dy) + bottom * dy;
+}
+
+function transformVector(vector, { translateX = 0, translateY = 0, angle = 0, scale = 1 } = {}) {
+  const center = (GRID_SIZE - 1) / 2;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const safeScale = Math.max(scale, 0.01);
+  const output = new Array(vector.length).fill(0);
+
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      const tx = x - center - translateX;
+      const ty = y - center - translateY;
+      const scaledX = tx / safeScale;
+      const scaledY = ty / safeScale;
+      const sourceX = center + (scaledX * cos + scaledY * sin);
+      const sourceY = center + (-scaledX * sin + scaledY * cos);
+      output[y * GRID_SIZE + x] = sampleVectorBilinear(vector, sourceX, sourceY);
+    }
+  }
+
+  return output;
+}
+
+function centroid(vector) {
+  let weight = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      const value = Math.max(0, vector[y * GRID_SIZE + x] || 0);
+      if (value <= 0.01) continue;
+      weight += value;
+      sumX += x * value;
+      sumY += y * value;
+    }
+  }
+
+  if (weight <= 0.0001) {
+    const mid = (GRID_SIZE - 1) / 2;
+    return { x: mid, y: mid };
+  }
+
+  return { x: sumX / weight, y: sumY / weight };
+}
+
+function centroidForSize(vector, size) {
+  let weight = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = Math.max(0, vector[y * size + x] || 0);
+      if (value <= 0.01) continue;
+      weight += value;
+      sumX += x * value;
+      sumY += y * value;
+    }
+  }
+
+  if (weight <= 0.0001) {
+    const mid = (size - 1) / 2;
+    return { x: mid, y: mid };
+  }
+
+  return { x: sumX / weight, y: sumY / weight };
+}
+
+function buildLabelPrototypes(dataset) {
+  const grouped = dataset.reduce((acc, item) => {
+    if (!acc[item.label]) acc[item.label] = [];
+    acc[item.label].push(normalizeVector(item.vector));
+    return acc;
+  }, {});
+
+  return Object.entries(grouped).reduce((acc, [label, vectors]) => {
+    const prototype = new Array(GRID_SIZE * GRID_SIZE).fill(0);
+    vectors.forEach((vector) => {
+      for (let i = 0; i < vector.length; i += 1) {
+        prototype[i] += vector[i];
+      }
+    });
+
+    for (let i = 0; i < prototype.length; i += 1) {
+      prototype[i] /= vectors.length;
+    }
+
+    acc[label] = prototype;
+    return acc;
+  }, {});
+}
+
+function weightedDistance(a, b, weightFn) {
+  let total = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const d = a[i] - b[i];
+    total += d * d * weightFn(i);
+  }
+  return Math.sqrt(total);
+}
+
+function binarizeVector(vector, threshold = 0.2) {
+  return vector.map((value) => (value >= threshold ? 1 : 0));
+}
+
+function rotateVector90(vector) {
+  const output = new Array(vector.length).fill(0);
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      output[x * GRID_SIZE + (GRID_SIZE - 1 - y)] = vector[y * GRID_SIZE + x];
+    }
+  }
+  return output;
+}
+
+function generateRotations(vector) {
+  const rot0 = vector;
+  const rot90 = rotateVector90(rot0);
+  const rot180 = rotateVector90(rot90);
+  const rot270 = rotateVector90(rot180);
+  return [rot0, rot90, rot180, rot270];
+}
+
+function flipVectorHorizontal(vector) {
+  const output = new Array(vector.length).fill(0);
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      output[y * GRID_SIZE + (GRID_SIZE - 1 - x)] = vector[y * GRID_SIZE + x];
+    }
+  }
+  return output;
+}
+
+function generateTransformVariants(vector) {
+  const rotations = generateRotations(vector);
+  const flipped = flipVectorHorizontal(vector);
+  return [...rotations, ...generateRotations(flipped)];
+}
+
+function scoreTransformInvariantModel(inputVector, dataset, options = {}) {
+  const {
+    k = 15,
+    distanceFloor = 0.02,
+    normalizeDataset = true,
+    featureWeight = 0.3,
+    centerWeightPower = 0,
+  } = options;
+
+  const inputNorm = normalizeVector(inputVector);
+  const inputFeatures = extractLineFeatures(inputNorm).compact;
+  const inputCandidates = generateTransformVariants(inputNorm);
+
+  const scored = dataset.map((item) => {
+    const base = normalizeDataset ? normalizeVector(item.vector) : item.vector;
+    const candidates = generateTransformVariants(base);
+
+    const bestDistance = inputCandidates.reduce((bestInput, inputCandidate) => {
+      const bestForInput = candidates.reduce((bestCandidate, candidate) => {
+        let d = distance(inputCandidate, candidate) / Math.sqrt(inputVector.length);
+        if (centerWeightPower > 0) {
+          const box = boundingBox(candidate);
+          if (box) {
+            const cx = (box.minX + box.maxX) / 2;
+            const cy = (box.minY + box.maxY) / 2;
+            const centerDx = Math.abs(cx - (GRID_SIZE - 1) / 2) / (GRID_SIZE / 2);
+            const centerDy = Math.abs(cy - (GRID_SIZE - 1) / 2) / (GRID_SIZE / 2);
+            const centerPenalty = Math.pow((centerDx + centerDy) / 2, centerWeightPower);
+            d *= 1 + centerPenalty * 0.2;
+          }
+        }
+        return Math.min(bestCandidate, d);
+      }, Number.POSITIVE_INFINITY);
+      return Math.min(bestInput, bestForInput);
+    }, Number.POSITIVE_INFINITY);
+
+    const candidateFeatures = extractLineFeatures(base).compact;
+    const lineDistance = featureDistance(inputFeatures, candidateFeatures);
+    const blendedDistance = bestDistance * (1 - featureWeight) + lineDistance * featureWeight;
+
+    return {
+      label: item.label,
+      distance: blendedDistance,
+      rawDistance: bestDistance,
+    };
+  });
+
+  const ranked = scored.sort((a, b) => a.distance - b.distance);
+  const vote = voteByInverseDistance(
+    ranked.map((entry) => ({
+      label: entry.label,
+      distance: Math.max(distanceFloor, entry.distance),
+    })),
+    k
+  );
+
+  const nearest = ranked[0] || { label: "unknown", rawDistance: 1 };
+
+  return {
+    label: vote.label,
+    confidence: vote.confidence,
+    nearestLabel: nearest.label,
+    nearestConfidence: Math.round((1 - Math.min(1, nearest.rawDistance)) * 100),
+  };
+}
+
+function extractLineFeatures(vector) {
+  const norm = normalizeVector(vector);
+  const binary = binarizeVector(norm, 0.25);
+  const rowSums = new Array(GRID_SIZE).fill(0);
+  const colSums = new Array(GRID_SIZE).fill(0);
+  let hTransitions = 0;
+  let vTransitions = 0;
+  let d1Transitions = 0;
+  let d2Transitions = 0;
+  let active = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let y = 0; y < GRID_SIZE; y += 1) {
+    for (let x = 0; x < GRID_SIZE; x += 1) {
+      const index = y * GRID_SIZE + x;
+      const value = binary[index];
+      rowSums[y] += value;
+      colSums[x] += value;
+      active += value;
+      cx += value * x;
+      cy += value * y;
+
+      if (x < GRID_SIZE - 1 && value !== binary[index + 1]) hTransitions += 1;
+      if (y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE]) vTransitions += 1;
+      if (x < GRID_SIZE - 1 && y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE + 1]) d1Transitions += 1;
+      if (x > 0 && y < GRID_SIZE - 1 && value !== binary[index + GRID_SIZE - 1]) d2Transitions += 1;
+    }
+  }
+
+  const safeActive = Math.max(active, 1);
+  const centerX = cx / safeActive / GRID_SIZE;
+  const centerY = cy / safeActive / GRID_SIZE;
+
+  const transitions = [hTransitions, vTransitions, d1Transitions, d2Transitions].map((v) => v / (GRID_SIZE * GRID_SIZE));
+  const rowProfile = rowSums.map((value) => value / GRID_SIZE);
+  const colProfile = colSums.map((value) => value / GRID_SIZE);
+
+  return {
+    binary,
+    full: [...transitions, active / (GRID_SIZE * GRID_SIZE), centerX, centerY, ...rowProfile, ...colProfile],
+    compact: [...transitions, active / (GRID_SIZE * GRID_SIZE), centerX, centerY],
+    profileOnly: [...rowProfile, ...colProfile],
+  };
+}
+
+function featureDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const d = a[i] - b[i];
+    total += d * d;
+  }
+  return Math.sqrt(total / Math.max(1, a.length));
+}
+
+function voteFeatureKnn(featureInput, dataset, featureSelector, k) {
+  const scored = dataset
+    .map((item) => ({
+      label: item.label,
+      distance: featureDistance(featureInput, featureSelector(extractLineFeatures(item.vector))),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return voteByInverseDistance(scored, k);
+}
+
+function voteByInverseDistance(scoredExamples, k) {
+  const topK = scoredExamples.slice(0, Math.min(k, scoredExamples.length));
+  const labelScores = topK.reduce((acc, item) => {
+    const vote = 1 / Math.max(item.distance, 0.001);
+    acc[item.label] = (acc[item.label] || 0) + vote;
+    return acc;
+  }, {});
+
+  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
+  const [label = "unknown"] = ranked[0] || [];
+  const probabilities = softmax(ranked.map(([, value]) => value));
+  const confidence = Math.round((probabilities[0] || 0) * 100);
+  return { label, confidence };
+}
+
+function resizeVector(vector, fromSize, toSize) {
+  if (fromSize === toSize) return [...vector];
+
+  const output = new Array(toSize * toSize).fill(0);
+  for (let y = 0; y < toSize; y += 1) {
+    const sourceY = Math.min(fromSize - 1, Math.floor((y / Math.max(1, toSize - 1)) * (fromSize - 1)));
+    for (let x = 0; x < toSize; x += 1) {
+      const sourceX = Math.min(fromSize - 1, Math.floor((x / Math.max(1, toSize - 1)) * (fromSize - 1)));
+      output[y * toSize + x] = vector[sourceY * fromSize + sourceX] || 0;
+    }
+  }
+  return output;
+}
+
+function boundingBoxForSize(vector, size) {
+  let minX = size;
+  let maxX = -1;
+  let minY = size;
+  let maxY = -1;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = vector[y * size + x];
+      if (value <= 0.05) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  if (maxX < minX || maxY < minY) return null;
+  return { minX, maxX, minY, maxY };
+}
+
+function normalizeVectorForSize(vector, size) {
+  const box = boundingBoxForSize(vector, size);
+  if (!box) return vector;
+
+  const width = box.maxX - box.minX + 1;
+  const height = box.maxY - box.minY + 1;
+  const scale = Math.max(width, height);
+  const output = new Array(size * size).fill(0);
+  const offsetX = Math.floor((size - scale) / 2);
+  const offsetY = Math.floor((size - scale) / 2);
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const sourceX = box.minX + ((x - offsetX) / scale) * width;
+      const sourceY = box.minY + ((y - offsetY) / scale) * height;
+      const ix = Math.floor(sourceX);
+      const iy = Math.floor(sourceY);
+      if (ix < box.minX || ix > box.maxX || iy < box.minY || iy > box.maxY) continue;
+      const value = vector[iy * size + ix];
+      output[y * size + x] = value > 0.05 ? value : 0;
+    }
+  }
+
+  return output;
+}
+
+function rotateVector90ForSize(vector, size) {
+  const output = new Array(vector.length).fill(0);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      output[x * size + (size - 1 - y)] = vector[y * size + x];
+    }
+  }
+  return output;
+}
+
+function generateTransformVariantsForSize(vector, size) {
+  const rot0 = vector;
+  const rot90 = rotateVector90ForSize(rot0, size);
+  const rot180 = rotateVector90ForSize(rot90, size);
+  const rot270 = rotateVector90ForSize(rot180, size);
+  const flipped = new Array(vector.length).fill(0);
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      flipped[y * size + (size - 1 - x)] = vector[y * size + x];
+    }
+  }
+
+  const flipped90 = rotateVector90ForSize(flipped, size);
+  const flipped180 = rotateVector90ForSize(flipped90, size);
+  const flipped270 = rotateVector90ForSize(flipped180, size);
+
+  return [rot0, rot90, rot180, rot270, flipped, flipped90, flipped180, flipped270];
+}
+
+function sampleBilinear(vector, size, x, y) {
+  if (x < 0 || y < 0 || x > size - 1 || y > size - 1) return 0;
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(size - 1, x0 + 1);
+  const y1 = Math.min(size - 1, y0 + 1);
+  const tx = x - x0;
+  const ty = y - y0;
+
+  const a = vector[y0 * size + x0] || 0;
+  const b = vector[y0 * size + x1] || 0;
+  const c = vector[y1 * size + x0] || 0;
+  const d = vector[y1 * size + x1] || 0;
+
+  const top = a * (1 - tx) + b * tx;
+  const bottom = c * (1 - tx) + d * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+function canonicalizeByMoments(vector, size = GRID_SIZE, r0 = 9) {
+  let m00 = 0;
+  let xSum = 0;
+  let ySum = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const w = vector[y * size + x] || 0;
+      m00 += w;
+      xSum += x * w;
+      ySum += y * w;
+    }
+  }
+
+  if (m00 < 1e-4) return [...vector];
+
+  const centroidX = xSum / m00;
+  const centroidY = ySum / m00;
+
+  let mu20 = 0;
+  let mu02 = 0;
+  let mu11 = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const w = vector[y * size + x] || 0;
+      const u = x - centroidX;
+      const v = y - centroidY;
+      mu20 += u * u * w;
+      mu02 += v * v * w;
+      mu11 += u * v * w;
+    }
+  }
+
+  const theta = 0.5 * Math.atan2(2 * mu11, mu20 - mu02);
+  const radius = Math.sqrt((mu20 + mu02) / Math.max(m00, 1e-6));
+  const scale = r0 / Math.max(radius, 1e-4);
+  const cosT = Math.cos(theta);
+  const sinT = Math.sin(theta);
+  const center = (size - 1) / 2;
+
+  const output = new Array(size * size).fill(0);
+  for (let yo = 0; yo < size; yo += 1) {
+    for (let xo = 0; xo < size; xo += 1) {
+      const px = xo - center;
+      const py = yo - center;
+      const invX = px / scale;
+      const invY = py / scale;
+      const srcX = cosT * invX - sinT * invY + centroidX;
+      const srcY = sinT * invX + cosT * invY + centroidY;
+      output[yo * size + xo] = sampleBilinear(vector, size, srcX, srcY);
+    }
+  }
+
+  return output;
+}
+
+function blur3x3(vector, size) {
+  const output = new Array(size * size).fill(0);
+  const kernel = [1, 2, 1];
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      let total = 0;
+      let weight = 0;
+
+      for (let ky = -1; ky <= 1; ky += 1) {
+        for (let kx = -1; kx <= 1; kx += 1) {
+          const sx = x + kx;
+          const sy = y + ky;
+          if (sx < 0 || sy < 0 || sx >= size || sy >= size) continue;
+          const w = kernel[kx + 1] * kernel[ky + 1];
+          total += (vector[sy * size + sx] || 0) * w;
+          weight += w;
+        }
+      }
+
+      output[y * size + x] = total / Math.max(1, weight);
+    }
+  }
+
+  return output;
+}
+
+function sobelEdges(vector, size, threshold = 0.14) {
+  const edges = new Array(size * size).fill(0);
+
+  for (let y = 1; y < size - 1; y += 1) {
+    for (let x = 1; x < size - 1; x += 1) {
+      const p = (dx, dy) => vector[(y + dy) * size + (x + dx)] || 0;
+      const gx = -p(-1, -1) + p(1, -1) - 2 * p(-1, 0) + 2 * p(1, 0) - p(-1, 1) + p(1, 1);
+      const gy = p(-1, -1) + 2 * p(0, -1) + p(1, -1) - p(-1, 1) - 2 * p(0, 1) - p(1, 1);
+      const mag = Math.sqrt(gx * gx + gy * gy);
+      if (mag > threshold) edges[y * size + x] = 1;
+    }
+  }
+
+  return edges;
+}
+
+function distanceTransformChamfer(edgeMap, size) {
+  const INF = 1e6;
+  const dt = edgeMap.map((v) => (v > 0 ? 0 : INF));
+  const sqrt2 = Math.SQRT2;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const i = y * size + x;
+      let best = dt[i];
+      if (x > 0) best = Math.min(best, dt[i - 1] + 1);
+      if (y > 0) best = Math.min(best, dt[i - size] + 1);
+      if (x > 0 && y > 0) best = Math.min(best, dt[i - size - 1] + sqrt2);
+      if (x < size - 1 && y > 0) best = Math.min(best, dt[i - size + 1] + sqrt2);
+      dt[i] = best;
+    }
+  }
+
+  for (let y = size - 1; y >= 0; y -= 1) {
+    for (let x = size - 1; x >= 0; x -= 1) {
+      const i = y * size + x;
+      let best = dt[i];
+      if (x < size - 1) best = Math.min(best, dt[i + 1] + 1);
+      if (y < size - 1) best = Math.min(best, dt[i + size] + 1);
+      if (x < size - 1 && y < size - 1) best = Math.min(best, dt[i + size + 1] + sqrt2);
+      if (x > 0 && y < size - 1) best = Math.min(best, dt[i + size - 1] + sqrt2);
+      dt[i] = best;
+    }
+  }
+
+  return dt;
+}
+
+function chamferDistance(edgeA, dtB, edgeB, dtA) {
+  let sumA = 0;
+  let countA = 0;
+  for (let i = 0; i < edgeA.length; i += 1) {
+    if (edgeA[i] > 0) {
+      sumA += dtB[i];
+      countA += 1;
+    }
+  }
+
+  let sumB = 0;
+  let countB = 0;
+  for (let i = 0; i < edgeB.length; i += 1) {
+    if (edgeB[i] > 0) {
+      sumB += dtA[i];
+      countB += 1;
+    }
+  }
+
+  const aTerm = countA > 0 ? sumA / countA : 0;
+  const bTerm = countB > 0 ? sumB / countB : 0;
+  return aTerm + bTerm;
+}
+
+function hogLite(vector, size, bins = 8) {
+  const hist = new Array(bins).fill(0);
+  for (let y = 1; y < size - 1; y += 1) {
+    for (let x = 1; x < size - 1; x += 1) {
+      const gx = (vector[y * size + (x + 1)] || 0) - (vector[y * size + (x - 1)] || 0);
+      const gy = (vector[(y + 1) * size + x] || 0) - (vector[(y - 1) * size + x] || 0);
+      const mag = Math.sqrt(gx * gx + gy * gy);
+      if (mag < 1e-6) continue;
+      const angle = Math.atan2(gy, gx);
+      const t = ((angle + Math.PI) / (2 * Math.PI)) * bins;
+      const idx = Math.min(bins - 1, Math.max(0, Math.floor(t)));
+      hist[idx] += mag;
+    }
+  }
+
+  const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
+  return hist.map((value) => value / (norm + 1e-6));
+}
+
+function distanceAlgo28(inputFeatures, sampleFeatures, options = {}) {
+  const { alpha = 0.35, beta = 0.45, gamma = 0.2 } = options;
+  const n = Math.max(1, inputFeatures.blurred.length);
+  const k = Math.max(1, inputFeatures.hog.length);
+
+  let pixSum = 0;
+  for (let i = 0; i < inputFeatures.blurred.length; i += 1) {
+    const d = inputFeatures.blurred[i] - sampleFeatures.blurred[i];
+    pixSum += d * d;
+  }
+  const dPix = Math.sqrt(pixSum / n);
+
+  const dCh = chamferDistance(inputFeatures.edge, sampleFeatures.dt, sampleFeatures.edge, inputFeatures.dt) / Math.max(1, inputFeatures.size);
+
+  let hogSum = 0;
+  for (let i = 0; i < inputFeatures.hog.length; i += 1) {
+    const d = inputFeatures.hog[i] - sampleFeatures.hog[i];
+    hogSum += d * d;
+  }
+  const dHog = Math.sqrt(hogSum / k);
+
+  return alpha * dPix + beta * dCh + gamma * dHog;
+}
+
+function buildAlgo28VariantFeatures(baseCanonical, size) {
+  return generateTransformVariantsForSize(baseCanonical, size).map((variant) => {
+    const blurred = blur3x3(variant, size);
+    const edge = sobelEdges(variant, size, 0.14);
+    const dt = distanceTransformChamfer(edge, size);
+    const hog = hogLite(variant, size, 8);
+    return { size, blurred, edge, dt, hog };
+  });
+}
+
+function scoreAlgo28(input, dataset16, options = {}) {
+  const { k = 21, distanceFloor = 0.01, targetRadius = 9 } = options;
+  const size = GRID_SIZE;
+  const inputCanonical = canonicalizeByMoments(input, size, targetRadius);
+  const inputVariants = buildAlgo28VariantFeatures(inputCanonical, size);
+
+  const scored = dataset16.map((item) => {
+    const sampleCanonical = canonicalizeByMoments(item.vector, size, targetRadius);
+    const sampleVariants = buildAlgo28VariantFeatures(sampleCanonical, size);
+    let bestDistance = Number.POSITIVE_INFINITY;
+
+    inputVariants.forEach((inVariant) => {
+      sampleVariants.forEach((sampleVariant) => {
+        bestDistance = Math.min(bestDistance, distanceAlgo28(inVariant, sampleVariant));
+      });
+    });
+
+    return { label: item.label, distance: bestDistance };
+  }).sort((a, b) => a.distance - b.distance);
+
+  return voteByInverseDistance(
+    scored.map((item) => ({
+      label: item.label,
+      distance: Math.max(distanceFloor, item.distance),
+    })),
+    k
+  );
+}
+
+function extractInvariantShapeDescriptor(vector, size) {
+  const normalized = normalizeVectorForSize(vector, size);
+  const binary = normalized.map((value) => (value >= 0.2 ? 1 : 0));
+  const radialBins = new Array(12).fill(0);
+  let m00 = 0;
+  let m10 = 0;
+  let m01 = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = binary[y * size + x];
+      m00 += value;
+      m10 += value * x;
+      m01 += value * y;
+    }
+  }
+
+  if (m00 === 0) {
+    return [0, ...radialBins, 0, 0, 0, 0, 0, 0, 0];
+  }
+
+  const cx = m10 / m00;
+  const cy = m01 / m00;
+  const safeScale = Math.max(1, size - 1);
+  const moments = { "20": 0, "02": 0, "11": 0, "30": 0, "03": 0, "21": 0, "12": 0 };
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = binary[y * size + x];
+      if (!value) continue;
+
+      const dx = x - cx;
+      const dy = y - cy;
+      const radius = Math.sqrt(dx * dx + dy * dy) / safeScale;
+      const bin = Math.min(radialBins.length - 1, Math.floor(radius * radialBins.length));
+      radialBins[bin] += 1;
+
+      moments["20"] += dx * dx;
+      moments["02"] += dy * dy;
+      moments["11"] += dx * dy;
+      moments["30"] += dx * dx * dx;
+      moments["03"] += dy * dy * dy;
+      moments["21"] += dx * dx * dy;
+      moments["12"] += dx * dy * dy;
+    }
+  }
+
+  for (let i = 0; i < radialBins.length; i += 1) {
+    radialBins[i] /= m00;
+  }
+
+  const eta = (p, q) => {
+    const key = `${p}${q}`;
+    const gamma = (p + q) / 2 + 1;
+    return moments[key] / Math.pow(m00, gamma);
+  };
+
+  const n20 = eta(2, 0);
+  const n02 = eta(0, 2);
+  const n11 = eta(1, 1);
+  const n30 = eta(3, 0);
+  const n03 = eta(0, 3);
+  const n21 = eta(2, 1);
+  const n12 = eta(1, 2);
+
+  const hu = [
+    n20 + n02,
+    (n20 - n02) ** 2 + 4 * n11 ** 2,
+    (n30 - 3 * n12) ** 2 + (3 * n21 - n03) ** 2,
+    (n30 + n12) ** 2 + (n21 + n03) ** 2,
+    (n30 - 3 * n12) * (n30 + n12) * ((n30 + n12) ** 2 - 3 * (n21 + n03) ** 2) +
+      (3 * n21 - n03) * (n21 + n03) * (3 * (n30 + n12) ** 2 - (n21 + n03) ** 2),
+    (n20 - n02) * ((n30 + n12) ** 2 - (n21 + n03) ** 2) + 4 * n11 * (n30 + n12) * (n21 + n03),
+    (3 * n21 - n03) * (n30 + n12) * ((n30 + n12) ** 2 - 3 * (n21 + n03) ** 2) -
+      (n30 - 3 * n12) * (n21 + n03) * (3 * (n30 + n12) ** 2 - (n21 + n03) ** 2),
+  ].map((value) => {
+    const absValue = Math.abs(value);
+    if (absValue < 1e-12) return 0;
+    return Math.log10(absValue + 1e-12);
+  });
+
+  const occupancy = m00 / (size * size);
+  return [occupancy, ...radialBins, ...hu];
+}
+
+function scoreAlgo29(input, dataset16, options = {}) {
+  const { k = 27, distanceFloor = 0.008 } = options;
+  const inputDescriptor = extractInvariantShapeDescriptor(input, GRID_SIZE);
+
+  const scored = dataset16
+    .map((item) => ({
+      label: item.label,
+      distance: featureDistance(inputDescriptor, extractInvariantShapeDescriptor(item.vector, GRID_SIZE)),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return voteByInverseDistance(
+    scored.map((entry) => ({
+      label: entry.label,
+      distance: Math.max(distanceFloor, entry.distance),
+    })),
+    k
+  );
+}
+
+function scoreAlgo30(input16, dataset16) {
+  const candidates = [
+    {
+      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
+        k: 35,
+        distanceFloor: 0.005,
+        featureWeight: 0.34,
+        centerWeightPower: 1.5,
+      }),
+      weight: 1.35,
+    },
+    {
+      ...scoreAlgo28(input16, dataset16, {
+        k: 33,
+        distanceFloor: 0.007,
+        targetRadius: 9,
+      }),
+      weight: 1.2,
+    },
+    {
+      ...scoreAlgo29(input16, dataset16, {
+        k: 35,
+        distanceFloor: 0.007,
+      }),
+      weight: 1.15,
+    },
+    {
+      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
+        k: 29,
+        distanceFloor: 0.01,
+        featureWeight: 0.36,
+        centerWeightPower: 1.1,
+      }),
+      weight: 1,
+    },
+  ];
+
+  const labelScores = candidates.reduce((acc, model) => {
+    const confidenceWeight = 0.3 + (Math.max(0, model.confidence || 0) / 100);
+    const vote = model.weight * confidenceWeight;
+    acc[model.label] = (acc[model.label] || 0) + vote;
+    return acc;
+  }, {});
+
+  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
+  const probabilities = softmax(ranked.map(([, score]) => score));
+  return {
+    label: ranked[0]?.[0] || "unknown",
+    confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
+  };
+}
+
+function scoreAlgo31(input16, dataset16) {
+  const experts = [
+    {
+      ...scoreAlgo30(input16, dataset16),
+      weight: 1.55,
+    },
+    {
+      ...scoreTransformInvariantModelForSize(input16, dataset16, GRID_SIZE, {
+        k: 39,
+        distanceFloor: 0.004,
+        featureWeight: 0.38,
+        centerWeightPower: 1.9,
+      }),
+      weight: 1.35,
+    },
+    {
+      ...scoreAlgo28(input16, dataset16, {
+        k: 37,
+        distanceFloor: 0.006,
+        targetRadius: 9,
+      }),
+      weight: 1.2,
+    },
+    {
+      ...scoreAlgo29(input16, dataset16, {
+        k: 39,
+        distanceFloor: 0.006,
+      }),
+      weight: 1.15,
+    },
+    {
+      ...scoreTransformInvariantModel(input16, dataset16, {
+        k: 27,
+        distanceFloor: 0.01,
+        featureWeight: 0.42,
+        centerWeightPower: 2,
+      }),
+      weight: 1,
+    },
+  ];
+
+  const voteCountByLabel = experts.reduce((acc, expert) => {
+    acc[expert.label] = (acc[expert.label] || 0) + 1;
+    return acc;
+  }, {});
+
+  const labelScores = experts.reduce((acc, expert) => {
+    const confidence = Math.max(0, expert.confidence || 0) / 100;
+    const agreementBoost = 1 + ((voteCountByLabel[expert.label] || 1) - 1) * 0.18;
+    const vote = expert.weight * (0.45 + confidence) * agreementBoost;
+    acc[expert.label] = (acc[expert.label] || 0) + vote;
+    return acc;
+  }, {});
+
+  const ranked = Object.entries(labelScores).sort((a, b) => b[1] - a[1]);
+  const probabilities = softmax(ranked.map(([, score]) => score));
+  const winnerVotes = voteCountByLabel[ranked[0]?.[0]] || 1;
+  const margin = Math.max(0, (probabilities[0] || 0) - (probabilities[1] || 0));
+
+  return {
+    label: ranked[0]?.[0] || "unknown",
+    confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100 + winnerVotes * 2 + margin * 18))),
+  };
+}
+
+function buildRaesDescriptor(vector, size = GRID_SIZE, radialBins = 8, angleBins = 16) {
+  const normalized = normalizeVectorForSize(vector, size);
+  const center = centroidForSize(normalized, size);
+
+  let totalInk = 0;
+  let radiusMoment = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = Math.max(0, normalized[y * size + x] || 0);
+      if (value <= 0.01) continue;
+      const dx = x - center.x;
+      const dy = y - center.y;
+      totalInk += value;
+      radiusMoment += (dx * dx + dy * dy) * value;
+    }
+  }
+
+  const effectiveRadius = Math.sqrt(radiusMoment / Math.max(totalInk, 1e-6)) + 1e-6;
+  const hist = new Array(radialBins * angleBins).fill(0);
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = Math.max(0, normalized[y * size + x] || 0);
+      if (value <= 0.01) continue;
+
+      const dx = x - center.x;
+      const dy = y - center.y;
+      const normalizedRadius = Math.min(0.9999, Math.sqrt(dx * dx + dy * dy) / effectiveRadius);
+      const angle = Math.atan2(dy, dx);
+      const angleUnit = (angle + Math.PI) / (2 * Math.PI);
+
+      const radialIndex = Math.min(radialBins - 1, Math.floor(normalizedRadius * radialBins));
+      const angleIndex = Math.min(angleBins - 1, Math.floor(angleUnit * angleBins));
+      hist[radialIndex * angleBins + angleIndex] += value;
+    }
+  }
+
+  const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
+  const normalizedHist = hist.map((value) => value / Math.max(norm, 1e-6));
+
+  return {
+    hist: normalizedHist,
+    angleBins,
+    radialBins,
+    inkDensity: totalInk / Math.max(1, size * size),
+  };
+}
+
+function flipRaesAngles(hist, radialBins, angleBins) {
+  const flipped = new Array(hist.length).fill(0);
+  for (let r = 0; r < radialBins; r += 1) {
+    for (let a = 0; a < angleBins; a += 1) {
+      const targetA = (angleBins - a) % angleBins;
+      flipped[r * angleBins + targetA] = hist[r * angleBins + a];
+    }
+  }
+  return flipped;
+}
+
+function raesRotationalDistance(histA, histB, radialBins, angleBins) {
+  const featureCount = radialBins * angleBins;
+  let best = Number.POSITIVE_INFINITY;
+
+  for (let shift = 0; shift < angleBins; shift += 1) {
+    let sum = 0;
+    for (let r = 0; r < radialBins; r += 1) {
+      const base = r * angleBins;
+      for (let a = 0; a < angleBins; a += 1) {
+        const shiftedIndex = base + ((a + shift) % angleBins);
+        const d = histA[base + a] - histB[shiftedIndex];
+        sum += d * d;
+      }
+    }
+    best = Math.min(best, Math.sqrt(sum / Math.max(1, featureCount)));
+  }
+
+  return best;
+}
+
+function raesInvariantDistance(descA, descB) {
+  const direct = raesRotationalDistance(descA.hist, descB.hist, descA.radialBins, descA.angleBins);
+  const flippedHist = flipRaesAngles(descB.hist, descA.radialBins, descA.angleBins);
+  const flipped = raesRotationalDistance(descA.hist, flippedHist, descA.radialBins, descA.angleBins);
+  const shapeDistance = Math.min(direct, flipped);
+  const densityDistance = Math.abs(descA.inkDensity - descB.inkDensity);
+  return shapeDistance * 0.9 + densityDistance * 0.1;
+}
+
+function scoreAlgo64(input16, dataset16, options = {}) {
+  const {
+    radialBins = 8,
+    angleBins = 16,
+    topLabels = 8,
+    k = 19,
+    distanceFloor = 0.01,
+  } = options;
+
+  const inputTransforms = generateTransformVariantsForSize(input16, GRID_SIZE);
+  const inputDescriptors = inputTransforms.map((variant) => buildRaesDescriptor(variant, GRID_SIZE, radialBins, angleBins));
+  const descriptors = dataset16.map((item) => ({
+    label: item.label,
+    desc: buildRaesDescriptor(item.vector, GRID_SIZE, radialBins, angleBins),
+  }));
+
+  const grouped = descriptors.reduce((acc, item) => {
+    if (!acc[item.label]) {
+      acc[item.label] = {
+        count: 0,
+        hist: new Array(radialBins * angleBins).fill(0),
+        inkDensity: 0,
+      };
+    }
+    acc[item.label].count += 1;
+    acc[item.label].inkDensity += item.desc.inkDensity;
+    for (let i = 0; i < acc[item.label].hist.length; i += 1) {
+      acc[item.label].hist[i] += item.desc.hist[i];
+    }
+    return acc;
+  }, {});
+
+  const prototypeRanked = Object.entries(grouped)
+    .map(([label, proto]) => {
+      const count = Math.max(1, proto.count);
+      const hist = proto.hist.map((value) => value / count);
+      const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
+      const prototypeDesc = {
+        hist: hist.map((value) => value / Math.max(norm, 1e-6)),
+        radialBins,
+        angleBins,
+        inkDensity: proto.inkDensity / count,
+      };
+
+      const bestDistance = inputDescriptors.reduce(
+        (best, inputDesc) => Math.min(best, raesInvariantDistance(inputDesc, prototypeDesc)),
+        Number.POSITIVE_INFINITY
+      );
+
+      return {
+        label,
+        distance: bestDistance,
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const candidateLabels = new Set(prototypeRanked.slice(0, Math.min(topLabels, prototypeRanked.length)).map((entry) => entry.label));
+  const scored = descriptors
+    .filter((item) => candidateLabels.has(item.label))
+    .map((item) => {
+      const bestDistance = inputDescriptors.reduce(
+        (best, inputDesc) => Math.min(best, raesInvariantDistance(inputDesc, item.desc)),
+        Number.POSITIVE_INFINITY
+      );
+      return {
+        label: item.label,
+        distance: Math.max(distanceFloor, bestDistance),
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  return voteByInverseDistance(scored, k);
+}
+
+function scoreAlgo65(input16, dataset16, options = {}) {
+  const {
+    radialBins = 8,
+    angleBins = 16,
+    topLabels = 8,
+    k = 17,
+    distanceFloor = 0.01,
+    logRadiusPower = 15,
+    lineBlend = 0.08,
+    densityWeight = 0.03,
+    temperature = 2.3,
+  } = options;
+
+  const inputDesc = buildRaesDescriptor(input16, GRID_SIZE, radialBins, angleBins);
+  const inputFeatures = extractLineFeaturesForSize(input16, GRID_SIZE);
+  const descriptors = dataset16.map((item) => ({
+    label: item.label,
+    desc: buildRaesDescriptor(item.vector, GRID_SIZE, radialBins, angleBins),
+    features: extractLineFeaturesForSize(item.vector, GRID_SIZE),
+  }));
+
+  const remapLogPolar = (hist) => {
+    if (logRadiusPower <= 0) return hist;
+    const output = new Array(hist.length).fill(0);
+    for (let r = 0; r < radialBins; r += 1) {
+      const radialUnit = (r + 0.5) / radialBins;
+      const mappedUnit = Math.log1p(radialUnit * logRadiusPower) / Math.log1p(logRadiusPower);
+      const targetR = Math.min(radialBins - 1, Math.floor(mappedUnit * radialBins));
+      for (let a = 0; a < angleBins; a += 1) {
+        output[targetR * angleBins + a] += hist[r * angleBins + a];
+      }
+    }
+    const norm = Math.sqrt(output.reduce((sum, value) => sum + value * value, 0));
+    return output.map((value) => value / Math.max(norm, 1e-6));
+  };
+
+  const grouped = descriptors.reduce((acc, item) => {
+    if (!acc[item.label]) {
+      acc[item.label] = {
+        count: 0,
+        hist: new Array(radialBins * angleBins).fill(0),
+        inkDensity: 0,
+        features: new Array(inputFeatures.length).fill(0),
+      };
+    }
+
+    const logHist = remapLogPolar(item.desc.hist);
+    acc[item.label].count += 1;
+    acc[item.label].inkDensity += item.desc.inkDensity;
+    for (let i = 0; i < acc[item.label].hist.length; i += 1) {
+      acc[item.label].hist[i] += logHist[i];
+    }
+    for (let i = 0; i < acc[item.label].features.length; i += 1) {
+      acc[item.label].features[i] += item.features[i];
+    }
+    return acc;
+  }, {});
+
+  const inputLogDesc = {
+    ...inputDesc,
+    hist: remapLogPolar(inputDesc.hist),
+  };
+
+  const prototypeRanked = Object.entries(grouped)
+    .map(([label, proto]) => {
+      const count = Math.max(1, proto.count);
+      const hist = proto.hist.map((value) => value / count);
+      const norm = Math.sqrt(hist.reduce((sum, value) => sum + value * value, 0));
+      const prototypeFeatures = proto.features.map((value) => value / count);
+      const prototypeDesc = {
+        hist: hist.map((value) => value / Math.max(norm, 1e-6)),
+        radialBins,
+        angleBins,
+        inkDensity: proto.inkDensity / count,
+      };
+
+      const raesDistance = raesInvariantDistance(inputLogDesc, prototypeDesc);
+      const featureGap = featureDistance(inputFeatures, prototypeFeatures);
+      const densityGap = Math.abs(inputDesc.inkDensity - prototypeDesc.inkDensity);
+      const distance = raesDistance * (1 - lineBlend) + featureGap * lineBlend + densityGap * densityWeight;
+
+      return { label, distance };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const candidateLabels = new Set(prototypeRanked.slice(0, Math.min(topLabels, prototypeRanked.length)).map((entry) => entry.label));
+  const scored = descriptors
+    .filter((item) => candidateLabels.has(item.label))
+    .map((item) => {
+      const logDesc = {
+        ...item.desc,
+        hist: remapLogPolar(item.desc.hist),
+      };
+      const raesDistance = raesInvariantDistance(inputLogDesc, logDesc);
+      const featureGap = featureDistance(inputFeatures, item.features);
+      const densityGap = Math.abs(inputDesc.inkDensity - item.desc.inkDensity);
+      return {
+        label: item.label,
+        distance: Math.max(distanceFloor, raesDistance * (1 - lineBlend) + featureGap * lineBlend + densityGap * densityWeight),
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const vote = voteByInverseDistance(scored, k);
+  const prototypeScores = prototypeRanked.map((entry) => 1 / Math.max(entry.distance, distanceFloor));
+  const probabilities = softmax(prototypeScores.map((score) => score * temperature));
+  const rankedLabels = prototypeRanked.map((entry) => entry.label);
+  const winnerIndex = rankedLabels.indexOf(vote.label);
+  const calibrated = Math.round((probabilities[winnerIndex >= 0 ? winnerIndex : 0] || 0) * 100);
+
+  return {
+    label: vote.label,
+    confidence: Math.max(vote.confidence, calibrated),
+  };
+}
+
+function scoreAlgo66(input16, dataset16, options = {}) {
+  const {
+    rotationSteps = 24,
+    k = 25,
+    topLabels = 10,
+    distanceFloor = 0.008,
+    lineBlend = 0.2,
+    descriptorBlend = 0.28,
+    neighborBonus = 0.08,
+    temperature = 2.65,
+  } = options;
+
+  const inputNormalized = normalizeVector(input16);
+  const generateDenseCandidates = (vector) => {
+    const horizontalFlip = flipVectorHorizontal(vector);
+    const verticalFlip = rotateVector90(rotateVector90(horizontalFlip));
+    const flipModes = [vector, horizontalFlip, verticalFlip];
+    const candidates = [];
+
+    flipModes.forEach((base) => {
+      for (let step = 0; step < rotationSteps; step += 1) {
+        const angle = (2 * Math.PI * step) / Math.max(1, rotationSteps);
+        candidates.push(transformVector(base, { angle }));
+      }
+    });
+
+    return candidates;
+  };
+
+  const inputCandidates = generateDenseCandidates(inputNormalized);
+
+  const grouped = dataset16.reduce((acc, item) => {
+    if (!acc[item.label]) acc[item.label] = [];
+    acc[item.label].push(item.vector);
+    return acc;
+  }, {});
+
+  const labelPrototypes = Object.entries(grouped).map(([label, vectors]) => {
+    const proto = new Array(GRID_SIZE * GRID_SIZE).fill(0);
+    vectors.forEach((vector) => {
+      const norm = normalizeVector(vector);
+      for (let i = 0; i < proto.length; i += 1) {
+        proto[i] += norm[i] || 0;
+      }
+    });
+
+    for (let i = 0; i < proto.length; i += 1) {
+      proto[i] /= Math.max(1, vectors.length);
+    }
+
+    return {
+      label,
+      vector: proto,
+      features: extractLineFeaturesForSize(proto, GRID_SIZE),
+      descriptor: extractInvariantShapeDescriptor(proto, GRID_SIZE),
+    };
+  });
+
+  const labelRanked = labelPrototypes
+    .map((prototype) => {
+      const bestDistance = inputCandidates.reduce((best, candidate) => {
+        const pixelDistance = distance(candidate, prototype.vector) / Math.sqrt(candidate.length);
+        const lineDistance = featureDistance(
+          extractLineFeaturesForSize(candidate, GRID_SIZE),
+          prototype.features
+        );
+        const descriptorDistance = featureDistance(
+          extractInvariantShapeDescriptor(candidate, GRID_SIZE),
+          prototype.descriptor
+        );
+
+        const blendedDistance =
+          pixelDistance * (1 - lineBlend - descriptorBlend) +
+          lineDistance * lineBlend +
+          descriptorDistance * descriptorBlend;
+
+        return Math.min(best, blendedDistance);
+      }, Number.POSITIVE_INFINITY);
+
+      return {
+        label: prototype.label,
+        distance: Math.max(distanceFloor, bestDistance),
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const candidateLabels = new Set(labelRanked.slice(0, Math.min(topLabels, labelRanked.length)).map((item) => item.label));
+
+  const scoredSamples = dataset16
+    .filter((item) => candidateLabels.has(item.label))
+    .map((item) => {
+      const sample = normalizeVector(item.vector);
+      const sampleFeatures = extractLineFeaturesForSize(sample, GRID_SIZE);
+      const sampleDescriptor = extractInvariantShapeDescriptor(sample, GRID_SIZE);
+
+      const bestDistance = inputCandidates.reduce((best, candidate) => {
+        const pixelDistance = distance(candidate, sample) / Math.sqrt(candidate.length);
+        const lineDistance = featureDistance(extractLineFeaturesForSize(candidate, GRID_SIZE), sampleFeatures);
+        const descriptorDistance = featureDistance(
+          extractInvariantShapeDescriptor(candidate, GRID_SIZE),
+          sampleDescriptor
+        );
+        const blendedDistance =
+          pixelDistance * (1 - lineBlend - descriptorBlend) +
+          lineDistance * lineBlend +
+          descriptorDistance * descriptorBlend;
+
+        return Math.min(best, blendedDistance);
+      }, Number.POSITIVE_INFINITY);
+
+      return {
+        label: item.label,
+        distance: Math.max(distanceFloor, bestDistance),
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const withPrototypeSupport = scoredSamples.map((entry) => {
+    const prototypeIndex = labelRanked.findIndex((item) => item.label === entry.label);
+    const prototypeBoost = prototypeIndex >= 0 ? neighborBonus / (prototypeIndex + 1) : 0;
+    return {
+      ...entry,
+      distance: Math.max(distanceFloor, entry.distance - prototypeBoost),
+    };
+  });
+
+  const vote = voteByInverseDistance(withPrototypeSupport, k);
+  const scoreByLabel = withPrototypeSupport.reduce((acc, item) => {
+    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance, distanceFloor);
+    return acc;
+  }, {});
+  const rankedScores = Object.entries(scoreByLabel).sort((a, b) => b[1] - a[1]);
+  const probabilities = softmax(rankedScores.map(([, score]) => score * temperature));
+  const winnerIndex = rankedScores.findIndex(([label]) => label === vote.label);
+  const calibratedConfidence = Math.round((probabilities[winnerIndex >= 0 ? winnerIndex : 0] || 0) * 100);
+
+  return {
+    label: vote.label,
+    confidence: Math.max(vote.confidence, calibratedConfidence),
+  };
+}
+
+function buildEdgeMapFromBinary(binary, size) {
+  const edge = new Array(size * size).fill(0);
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const i = y * size + x;
+      if (!binary[i]) continue;
+      const left = x > 0 ? binary[i - 1] : 0;
+      const right = x < size - 1 ? binary[i + 1] : 0;
+      const up = y > 0 ? binary[i - size] : 0;
+      const down = y < size - 1 ? binary[i + size] : 0;
+      if (!left || !right || !up || !down) edge[i] = 1;
+    }
+  }
+  return edge;
+}
+
+function estimateStrokeWidth(binary, edge, size) {
+  let area = 0;
+  let perimeter = 0;
+  for (let i = 0; i < size * size; i += 1) {
+    area += binary[i] ? 1 : 0;
+    perimeter += edge[i] ? 1 : 0;
+  }
+  if (!area || !perimeter) return 1;
+  return Math.max(0.75, Math.min(4, (2 * area) / perimeter));
+}
+
+function extractThicknessCompensatedFeatures(vector, size = GRID_SIZE) {
+  const normalized = normalizeVectorForSize(vector, size);
+  const binary = normalized.map((value) => (value >= 0.2 ? 1 : 0));
+  const edge = buildEdgeMapFromBinary(binary, size);
+  const edgeDt = distanceTransformChamfer(edge, size);
+  const strokeWidth = estimateStrokeWidth(binary, edge, size);
+  const compensated = new Array(size * size).fill(0);
+
+  for (let i = 0; i < compensated.length; i += 1) {
+    if (!binary[i]) continue;
+    const depth = Math.max(0, edgeDt[i]);
+    compensated[i] = 1 / (1 + depth / Math.max(0.6, strokeWidth));
+  }
+
+  return { normalized, binary, edge, edgeDt, strokeWidth, compensated };
+}
+
+function rotateArray(values, shift) {
+  const n = values.length;
+  if (!n) return [];
+  const out = new Array(n);
+  for (let i = 0; i < n; i += 1) out[i] = values[(i + shift + n) % n];
+  return out;
+}
+
+function minCyclicL2(a, b) {
+  if (!a.length || !b.length || a.length !== b.length) return Number.POSITIVE_INFINITY;
+  let best = Number.POSITIVE_INFINITY;
+  for (let shift = 0; shift < a.length; shift += 1) {
+    const shifted = rotateArray(b, shift);
+    best = Math.min(best, featureDistance(a, shifted));
+    best = Math.min(best, featureDistance(a, [...shifted].reverse()));
+  }
+  return best;
+}
+
+function classifyFromDistances(scored, distanceFloor = 0.01, temperature = 2) {
+  const safe = scored.map((item) => ({ label: item.label, distance: Math.max(distanceFloor, item.distance) }));
+  const vote = voteByInverseDistance(safe, Math.min(21, safe.length));
+  const scores = safe.reduce((acc, item) => {
+    acc[item.label] = (acc[item.label] || 0) + 1 / item.distance;
+    return acc;
+  }, {});
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const probs = softmax(ranked.map(([, score]) => score * temperature));
+  const winnerIndex = ranked.findIndex(([label]) => label === vote.label);
+  return {
+    label: vote.label,
+    confidence: Math.max(vote.confidence, Math.round((probs[Math.max(0, winnerIndex)] || 0) * 100)),
+  };
+}
+
+function scoreAlgo67(input16, dataset16) {
+  const input = extractThicknessCompensatedFeatures(input16);
+  const inputVariants = generateTransformVariantsForSize(input.compensated, GRID_SIZE);
+  const scored = dataset16.map((item) => {
+    const sample = extractThicknessCompensatedFeatures(item.vector);
+    const sampleVariants = generateTransformVariantsForSize(sample.compensated, GRID_SIZE);
+    let best = Number.POSITIVE_INFINITY;
+    inputVariants.forEach((a) => {
+      sampleVariants.forEach((b) => {
+        best = Math.min(best, distance(a, b) / Math.sqrt(a.length));
+      });
+    });
+    return { label: item.label, distance: best + Math.abs(input.strokeWidth - sample.strokeWidth) * 0.02 };
+  });
+  return classifyFromDistances(scored, 0.01, 2.3);
+}
+
+function extractLineFeaturesForSize(vector, size) {
+  const norm = normalizeVectorForSize(vector, size);
+  const binary = norm.map((value) => (value >= 0.25 ? 1 : 0));
+  const rowSums = new Array(size).fill(0);
+  const colSums = new Array(size).fill(0);
+  let hTransitions = 0;
+  let vTransitions = 0;
+  let d1Transitions = 0;
+  let d2Transitions = 0;
+  let active = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const index = y * size + x;
+      const value = binary[index];
+      rowSums[y] += value;
+      colSums[x] += value;
+      active += value;
+      cx += value * x;
+      cy += value * y;
+
+      if (x < size - 1 && value !== binary[index + 1]) hTransitions += 1;
+      if (y < size - 1 && value !== binary[index + size]) vTransitions += 1;
+      if (x < size - 1 && y < size - 1 && value !== binary[index + size + 1]) d1Transitions += 1;
+      if (x > 0 && y < size - 1 && value !== binary[index + size - 1]) d2Transitions += 1;
+    }
+  }
+
+  const safeActive = Math.max(active, 1);
+  return [
+    hTransitions / (size * size),
+    vTransitions / (size * size),
+    d1Transitions / (size * size),
+    d2Transitions / (size * size),
+    active / (size * size),
+    cx / safeActive / size,
+    cy / safeActive / size,
+  ];
+}
+
+function extractScaleAwareLineLengthFeatures(vector, size = GRID_SIZE) {
+  const normalized = normalizeVectorForSize(vector, size);
+  const { edge, strokeWidth } = extractThicknessCompensatedFeatures(normalized, size);
+  const rowLengths = new Array(size).fill(0);
+  const colLengths = new Array(size).fill(0);
+  let edgePixels = 0;
+
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const value = edge[y * size + x] ? 1 : 0;
+      edgePixels += value;
+      rowLengths[y] += value;
+      colLengths[x] += value;
+    }
+  }
+
+  const safeEdgePixels = Math.max(1, edgePixels);
+  const rowProfile = rowLengths.map((value) => value / safeEdgePixels);
+  const colProfile = colLengths.map((value) => value / safeEdgePixels);
+  const shapeFeatures = extractLineFeaturesForSize(normalized, size);
+
+  return {
+    normalized,
+    profile: [...rowProfile, ...colProfile, ...shapeFeatures, Math.min(1, strokeWidth / 4)],
+    density: edgePixels / (size * size),
+  };
+}
+
+function minTransformDistanceForSize(a, b, size = GRID_SIZE) {
+  const aVariants = generateTransformVariantsForSize(a, size);
+  const bVariants = generateTransformVariantsForSize(b, size);
+  let best = Number.POSITIVE_INFINITY;
+
+  aVariants.forEach((aVariant) => {
+    bVariants.forEach((bVariant) => {
+      best = Math.min(best, distance(aVariant, bVariant) / Math.sqrt(size * size));
+    });
+  });
+
+  return best;
+}
+
+function scoreTransformInvariantModelForSize(inputVector, dataset, size, options = {}) {
+  const { k = 17, distanceFloor = 0.02, featureWeight = 0.35, centerWeightPower = 0 } = options;
+  const inputNorm = normalizeVectorForSize(inputVector, size);
+  const inputFeatures = extractLineFeaturesForSize(inputNorm, size);
+  const inputCandidates = generateTransformVariantsForSize(inputNorm, size);
+
+  const scored = dataset.map((item) => {
+    const base = normalizeVectorForSize(item.vector, size);
+    const candidates = generateTransformVariantsForSize(base, size);
+
+    const bestDistance = inputCandidates.reduce((bestInput, inputCandidate) => {
+      const bestForInput = candidates.reduce((bestCandidate, candidate) => {
+        let d = distance(inputCandidate, candidate) / Math.sqrt(size * size);
+        if (centerWeightPower > 0) {
+          const box = boundingBoxForSize(candidate, size);
+          if (box) {
+            const cx = (box.minX + box.maxX) / 2;
+            const cy = (box.minY + box.maxY) / 2;
+            const centerDx = Math.abs(cx - (size - 1) / 2) / (size / 2);
+            const centerDy = Math.abs(cy - (size - 1) / 2) / (size / 2);
+            d *= 1 + Math.pow((centerDx + centerDy) / 2, centerWeightPower) * 0.2;
+          }
+        }
+        return Math.min(bestCandidate, d);
+      }, Number.POSITIVE_INFINITY);
+      return Math.min(bestInput, bestForInput);
+    }, Number.POSITIVE_INFINITY);
+
+    const lineDistance = featureDistance(inputFeatures, extractLineFeaturesForSize(base, size));
+    return {
+      label: item.label,
+      distance: bestDistance * (1 - featureWeight) + lineDistance * featureWeight,
+      rawDistance: bestDistance,
+    };
+  });
+
+  const ranked = scored.sort((a, b) => a.distance - b.distance);
+  const vote = voteByInverseDistance(
+    ranked.map((entry) => ({
+      label: entry.label,
+      distance: Math.max(distanceFloor, entry.distance),
+    })),
+    k
+  );
+  const nearest = ranked[0] || { label: "unknown", rawDistance: 1 };
+
+  return {
+    label: vote.label,
+    confidence: vote.confidence,
+    nearestLabel: nearest.label,
+    nearestConfidence: Math.round((1 - Math.min(1, nearest.rawDistance)) * 100),
+  };
+}
+
+function runLiveAlgorithms(vector, dataset) {
+  if (!dataset.length) {
+    return {
+      hyperDraw: { label: "Need training data first", confidence: 0 },
+      hyperDrawV2: { label: "Need training data first", confidence: 0 },
+      hyperDrawV2X: { label: "Need training data first", confidence: 0 },
+    };
+  }
+
+  const prepared = prepareLiveDataset(dataset);
+  return runLiveAlgorithmsPrepared(vector, prepared);
+}
+
+function prepareLiveDataset(dataset) {
+  const normalizedDataset = dataset.map((item) => ({
+    label: item.label,
+    normalizedVector: normalizeVector(item.vector),
+  }));
+
+  const prototypesNormalized = buildLabelPrototypes(
+    normalizedDataset.map((item) => ({ label: item.label, vector: item.normalizedVector }))
+  );
+
+  return {
+    normalizedDataset,
+    prototypesNormalized,
+  };
+}
+
+function runLiveAlgorithmsPrepared(vector, prepared) {
+  const { normalizedDataset, prototypesNormalized } = prepared;
+
+  if (!normalizedDataset.length) {
+    return {
+      hyperDraw: { label: "Need training data first", confidence: 0 },
+      hyperDrawV2: { label: "Need training data first", confidence: 0 },
+      hyperDrawV2X: { label: "Need training data first", confidence: 0 },
+    };
+  }
+
+  const normalizedInput = normalizeVector(vector);
+  const normalizedDistances = normalizedDataset
+    .map((item) => ({
+      label: item.label,
+      distance: distance(normalizedInput, item.normalizedVector) / Math.sqrt(vector.length),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const algo1TopK = normalizedDistances.slice(0, Math.min(24, normalizedDistances.length));
+  const algo1LabelScores = algo1TopK.reduce((acc, item) => {
+    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance + 0.08, 0.001);
+    return acc;
+  }, {});
+
+  Object.entries(prototypesNormalized).forEach(([label, prototype]) => {
+    const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
+    const prototypeVote = 1 / Math.max(0.001, prototypeDistance + 0.06);
+    algo1LabelScores[label] = (algo1LabelScores[label] || 0) + prototypeVote * 0.35;
+  });
+
+  const algo1Ranked = Object.entries(algo1LabelScores).sort((a, b) => b[1] - a[1]);
+  const algo1Probs = softmax(algo1Ranked.map(([, score]) => score));
+  const hyperDraw = {
+    label: algo1Ranked[0]?.[0] || "unknown",
+    confidence: Math.round((algo1Probs[0] || 0) * 100),
+  };
+
+  const prototypeNorm = Object.entries(prototypesNormalized)
+    .map(([label, proto]) => ({ label, distance: distance(normalizedInput, proto) / Math.sqrt(vector.length) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  const hyperDrawV2 = {
+    label: prototypeNorm?.label || "unknown",
+    confidence: Math.round((1 - Math.min(1, prototypeNorm?.distance || 1)) * 100),
+  };
+
+  const hyperDrawV2X = runAlgorithms(vector, normalizedDataset.map((item) => ({ label: item.label, vector: item.normalizedVector }))).find((item) => item.id === 72) || { label: "unknown", confidence: 0 };
+
+  return { hyperDraw, hyperDrawV2, hyperDrawV2X };
+}
+
+function runAlgorithms(vector, dataset) {
+  if (!dataset.length) {
+    return [
+      { id: 1, name: "Algorithm 1 (Current)", label: "Need training data first", confidence: 0 },
+      { id: 7, name: "Algorithm 7 (Prototype Normalized)", label: "Need training data first", confidence: 0 },
+      { id: 72, name: "Algorithm 72 (v2X transform-aware)", label: "Need training data first", confidence: 0 },
+    ];
+  }
+
+  const normalizedInput = normalizeVector(vector);
+  const prototypesNormalized = buildLabelPrototypes(dataset.map((item) => ({ ...item, vector: normalizeVector(item.vector) })));
+
+  const normalizedDistances = dataset
+    .map((item) => ({
+      label: item.label,
+      distance: distance(normalizedInput, normalizeVector(item.vector)) / Math.sqrt(vector.length),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const algo1TopK = normalizedDistances.slice(0, Math.min(24, normalizedDistances.length));
+  const algo1LabelScores = algo1TopK.reduce((acc, item) => {
+    acc[item.label] = (acc[item.label] || 0) + 1 / Math.max(item.distance + 0.08, 0.001);
+    return acc;
+  }, {});
+
+  Object.entries(prototypesNormalized).forEach(([label, prototype]) => {
+    const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
+    const prototypeVote = 1 / Math.max(0.001, prototypeDistance + 0.06);
+    algo1LabelScores[label] = (algo1LabelScores[label] || 0) + prototypeVote * 0.35;
+  });
+
+  const algo1Ranked = Object.entries(algo1LabelScores).sort((a, b) => b[1] - a[1]);
+  const algo1Probs = softmax(algo1Ranked.map(([, score]) => score));
+  const algo1Guess = algo1Ranked[0]?.[0] || "unknown";
+  const algo1Confidence = Math.round((algo1Probs[0] || 0) * 100);
+
+  const prototypeNorm = Object.entries(prototypesNormalized)
+    .map(([label, proto]) => ({ label, distance: distance(normalizedInput, proto) / Math.sqrt(vector.length) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  const inputFeatures = extractLineFeaturesForSize(normalizedInput, GRID_SIZE);
+  const prototypeFeaturesByLabel = Object.entries(prototypesNormalized).reduce((acc, [label, prototype]) => {
+    acc[label] = extractLineFeaturesForSize(prototype, GRID_SIZE);
+    return acc;
+  }, {});
+
+  const datasetLabelCounts = dataset.reduce((acc, item) => {
+    acc[item.label] = (acc[item.label] || 0) + 1;
+    return acc;
+  }, {});
+  const datasetSize = Math.max(1, dataset.length);
+
+  const invariantInput = extractScaleAwareLineLengthFeatures(normalizedInput, GRID_SIZE);
+  const invariantPrototypeByLabel = Object.entries(prototypesNormalized).reduce((acc, [label, prototype]) => {
+    acc[label] = extractScaleAwareLineLengthFeatures(prototype, GRID_SIZE);
+    return acc;
+  }, {});
+  const invariantDistances = dataset
+    .map((item) => {
+      const sample = extractScaleAwareLineLengthFeatures(normalizeVector(item.vector), GRID_SIZE);
+      const transformDistance = minTransformDistanceForSize(invariantInput.normalized, sample.normalized, GRID_SIZE);
+      const lineLengthDistance = featureDistance(invariantInput.profile, sample.profile);
+      const densityGap = Math.abs(invariantInput.density - sample.density);
+      return {
+        label: item.label,
+        distance: transformDistance + lineLengthDistance * 0.12 + densityGap * 0.16,
+      };
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  const scoreAlgo7Variant = ({
+    lineBlend = 0,
+    densityWeight = 0,
+    centerWeight = 0,
+    neighborDepth = 0,
+    balancePenalty = 0,
+    temperature = 2,
+  }) => {
+    const topNeighbors = normalizedDistances.slice(0, Math.min(neighborDepth, normalizedDistances.length));
+    const ranked = Object.entries(prototypesNormalized)
+      .map(([label, prototype]) => {
+        const prototypeDistance = distance(normalizedInput, prototype) / Math.sqrt(vector.length);
+        const prototypeFeatures = prototypeFeaturesByLabel[label];
+        const lineDistance = featureDistance(inputFeatures, prototypeFeatures);
+        const densityGap = Math.abs((inputFeatures[4] || 0) - (prototypeFeatures[4] || 0));
+        const centerGap =
+          Math.abs((inputFeatures[5] || 0.5) - (prototypeFeatures[5] || 0.5)) +
+          Math.abs((inputFeatures[6] || 0.5) - (prototypeFeatures[6] || 0.5));
+
+        const blendedDistance =
+          prototypeDistance * (1 - lineBlend) +
+          lineDistance * lineBlend +
+          densityGap * densityWeight +
+          centerGap * centerWeight;
+
+        const baseScore = 1 / Math.max(0.001, blendedDistance + 0.05);
+        const neighborScore = topNeighbors.reduce((bonus, neighbor, index) => {
+          if (neighbor.label !== label) return bonus;
+          return bonus + 0.05 / (index + 1);
+        }, 0);
+        const priorPenalty = ((datasetLabelCounts[label] || 0) / datasetSize) * balancePenalty;
+
+        return {
+          label,
+          score: baseScore + neighborScore - priorPenalty,
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const probabilities = softmax(ranked.map((entry) => entry.score * temperature));
+    return {
+      label: ranked[0]?.label || "unknown",
+      confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
+    };
+  };
+
+  const algorithm45 = scoreAlgo7Variant({ neighborDepth: 4 });
+  const algorithm57 = scoreAlgo7Variant({ neighborDepth: 4, lineBlend: 0.06, densityWeight: 0.04, centerWeight: 0.03, temperature: 2.35 });
+  const algorithm64 = scoreAlgo64(normalizedInput, dataset);
+  const algorithm65 = scoreAlgo65(normalizedInput, dataset);
+  const algorithm66 = scoreAlgo66(normalizedInput, dataset);
+
+  const scoreAlgo45TransformVariant = ({
+    neighborDepth = 6,
+    lineBlend = 0.12,
+    densityWeight = 0.04,
+    balancePenalty = 0,
+    temperature = 2.3,
+    centerWeight = 0,
+  }) => {
+    const topNeighbors = invariantDistances.slice(0, Math.min(neighborDepth, invariantDistances.length));
+    const ranked = Object.entries(invariantPrototypeByLabel)
+      .map(([label, prototype]) => {
+        const transformDistance = minTransformDistanceForSize(invariantInput.normalized, prototype.normalized, GRID_SIZE);
+        const lineDistance = featureDistance(invariantInput.profile, prototype.profile);
+        const densityGap = Math.abs(invariantInput.density - prototype.density);
+
+        const centerGap =
+          Math.abs((invariantInput.profile[2 * GRID_SIZE + 5] || 0.5) - (prototype.profile[2 * GRID_SIZE + 5] || 0.5)) +
+          Math.abs((invariantInput.profile[2 * GRID_SIZE + 6] || 0.5) - (prototype.profile[2 * GRID_SIZE + 6] || 0.5));
+
+        const blendedDistance =
+          transformDistance * (1 - lineBlend) +
+          lineDistance * lineBlend +
+          densityGap * densityWeight +
+          centerGap * centerWeight;
+
+        const baseScore = 1 / Math.max(0.001, blendedDistance + 0.04);
+        const neighborScore = topNeighbors.reduce((bonus, neighbor, index) => {
+          if (neighbor.label !== label) return bonus;
+          return bonus + 0.06 / (index + 1);
+        }, 0);
+        const priorPenalty = ((datasetLabelCounts[label] || 0) / datasetSize) * balancePenalty;
+
+        return { label, score: baseScore + neighborScore - priorPenalty };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const probabilities = softmax(ranked.map((entry) => entry.score * temperature));
+    return {
+      label: ranked[0]?.label || "unknown",
+      confidence: Math.max(1, Math.min(99, Math.round((probabilities[0] || 0) * 100))),
+    };
+  };
+
+  const algorithm67 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.1, densityWeight: 0.04, temperature: 2.35 });
+  const algorithm68 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.16, densityWeight: 0.05, temperature: 2.3 });
+  const algorithm69 = scoreAlgo45TransformVariant({ neighborDepth: 7, lineBlend: 0.14, densityWeight: 0.04, balancePenalty: 0.08, temperature: 2.4 });
+  const algorithm70 = scoreAlgo45TransformVariant({ neighborDepth: 5, lineBlend: 0.11, densityWeight: 0.08, temperature: 2.3 });
+  const algorithm71 = scoreAlgo45TransformVariant({ neighborDepth: 9, lineBlend: 0.13, densityWeight: 0.04, temperature: 2.2 });
+  const algorithm72 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.13, densityWeight: 0.04, centerWeight: 0.05, temperature: 2.35 });
+  const algorithm73 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.12, densityWeight: 0.04, centerWeight: 0.03, temperature: 2.55 });
+  const algorithm74 = scoreAlgo45TransformVariant({ neighborDepth: 6, lineBlend: 0.22, densityWeight: 0.03, temperature: 2.3 });
+  const algorithm75 = scoreAlgo45TransformVariant({ neighborDepth: 7, lineBlend: 0.16, densityWeight: 0.04, balancePenalty: 0.14, temperature: 2.35 });
+  const algorithm76 = scoreAlgo45TransformVariant({ neighborDepth: 8, lineBlend: 0.18, densityWeight: 0.05, balancePenalty: 0.08, centerWeight: 0.03, temperature: 2.3 });
+
+  return [
+    { id: 1, name: "Algorithm 1 (v1 current)", label: algo1Guess, confidence: algo1Confidence },
+    { id: 7, name: "Algorithm 7 (v2 normalized)", label: prototypeNorm?.label || "unknown", confidence: Math.round((1 - Math.min(1, prototypeNorm?.distance || 1)) * 100) },
+    { id: 72, name: "Algorithm 72 (v2X transform-aware)", label: algorithm72.label, confidence: algorithm72.confidence },
+  ];
+}
+
+// Incremental training set used by the worker, and by the page when workers are unavailable. Items are
+// keyed by drawing id and normalized once; the prepared dataset is rebuilt lazily after each change.
+function createClassifierState() {
+  return { items: new Map(), prepared: null, excluded: null };
+}
+
+function updateClassifierState(state, { upserts = [], removals = [] }) {
+  removals.forEach((key) => state.items.delete(key));
+  upserts.forEach(({ key, label, vector }) => {
+    state.items.set(key, { label, vector, normalizedVector: normalizeVector(vector) });
+  });
+  if (upserts.length || removals.length) state.prepared = null;
+}
+
+function prepareClassifierItems(items) {
+  return {
+    dataset: items,
+    normalizedDataset: items,
+    prototypesNormalized: buildLabelPrototypes(items.map((item) => ({ label: item.label, vector: item.normalizedVector }))),
+  };
+}
+
+// `excludeIds` leaves drawings out of this one request (a replay must not match itself). The last
+// exclusion is cached, since a replay asks with the same one many times.
+function classifyWithState(state, vector, includeAll = false, excludeIds = []) {
+  if (!state.prepared) {
+    state.prepared = prepareClassifierItems([...state.items.values()]);
+    state.excluded = null;
+  }
+  let prepared = state.prepared;
+  const excluded = excludeIds.filter((key) => state.items.has(key));
+  if (excluded.length) {
+    const cacheKey = excluded.join("\n");
+    if (state.excluded?.cacheKey !== cacheKey) {
+      const skip = new Set(excluded);
+      const items = [...state.items].filter(([key]) => !skip.has(key)).map(([, item]) => item);
+      state.excluded = { cacheKey, prepared: prepareClassifierItems(items) };
+    }
+    prepared = state.excluded.prepared;
+  }
+  return {
+    live: runLiveAlgorithmsPrepared(vector, prepared),
+    results: includeAll ? runAlgorithms(vector, prepared.dataset) : [],
+  };
+}
@@ -0,0 +1,125 @@
+// Drawing vector encoding and dataset retention. Plain script with no DOM or storage access: index.html
+// loads it after classifier.js (for GRID_SIZE) and before app.js, and the tests load it the same way.
+
+const COMPACT_VECTOR_PREFIX = "q8z1:";
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  bytes.forEach((value) => {
+    binary += String.fromCharCode(value);
+  });
+  return btoa(binary);
+}
+
+function base64ToBytes(value) {
+  const binary = atob(value);
+  const output = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    output[i] = binary.charCodeAt(i);
+  }
+  return output;
+}
+
+// "q8z1:" vectors are 8-bit quantized, then zero runs are collapsed into (0, run length) byte pairs, then
+// base64. Sketches are mostly blank, so a 256-value vector usually shrinks to well under 200 characters.
+
+function encodeVector(vector) {
+  const bytes = [];
+  let zeroRun = 0;
+  const flushZeros = () => {
+    while (zeroRun > 0) {
+      const run = Math.min(255, zeroRun);
+      bytes.push(0, run);
+      zeroRun -= run;
+    }
+  };
+  vector.forEach((value) => {
+    const quantized = Math.round(Math.min(1, Math.max(0, Number(value) || 0)) * 255);
+    if (quantized === 0) {
+      zeroRun += 1;
+      return;
+    }
+    flushZeros();
+    bytes.push(quantized);
+  });
+  flushZeros();
+  return `${COMPACT_VECTOR_PREFIX}${bytesToBase64(Uint8Array.from(bytes))}`;
+}
+
+// Accepts both the compact string and the legacy float array. Returns null for anything else, including
+// a vector of the wrong length or with a value that is not a number in [0, 1].
+function decodeVector(encoded, length = GRID_SIZE * GRID_SIZE) {
+  let vector = null;
+  if (Array.isArray(encoded)) {
+    vector = encoded;
+  } else if (typeof encoded === "string" && encoded.startsWith(COMPACT_VECTOR_PREFIX)) {
+    try {
+      const bytes = base64ToBytes(encoded.slice(COMPACT_VECTOR_PREFIX.length));
+      vector = [];
+      for (let index = 0; index < bytes.length && vector.length <= length; index += 1) {
+        if (bytes[index] !== 0) {
+          vector.push(bytes[index] / 255);
+          continue;
+        }
+        const run = bytes[index + 1] || 0;
+        for (let count = 0; count < run; count += 1) vector.push(0);
+        index += 1;
+      }
+    } catch {
+      return null;
+    }
+  }
+  if (!vector || vector.length !== length) return null;
+  return vector.every((value) => typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 1) ? vector : null;
+}
+
+// 0..1. Near-blank sketches and canvases scribbled solid teach the classifier little, and a verified
+// author signature is a small bonus.
+function drawingQuality(item) {
+  const ink = item.vector.reduce((sum, value) => sum + value, 0) / Math.max(1, item.vector.length);
+  if (ink < 0.01 || ink > 0.6) return 0;
+  const inkScore = ink < 0.04 ? ink / 0.04 : ink > 0.35 ? (0.6 - ink) / 0.25 : 1;
+  return Math.min(1, inkScore * 0.9 + (item.verified ? 0.1 : 0));
+}
+
+// Never drops a drawing in `pendingIds` (not acknowledged by the server yet). Every one of `labels` first
+// keeps its best `minPerLabel` drawings (fewer when the floors would not fit), then the rest of the room is
+// filled by score. The score blends recency and drawingQuality according to `qualityWeight`. `onReport`
+// gets a summary whenever something was evicted; dev mode shows the last one.
+function trimDataset(dataset, { labels, limit, config, pendingIds = new Set(), onReport = () => {} }) {
+  if (dataset.length <= limit) return dataset;
+
+  const kept = new Set(dataset.filter((item) => pendingIds.has(item.id)));
+  let budget = Math.max(0, limit - kept.size);
+  const score = new Map();
+  dataset.forEach((item, index) => {
+    const recency = index / Math.max(1, dataset.length - 1);
+    score.set(item, recency * (1 - config.qualityWeight) + drawingQuality(item) * config.qualityWeight);
+  });
+  const byScore = (a, b) => score.get(b) - score.get(a);
+
+  const candidatesByLabel = new Map(labels.map((label) => [label, []]));
+  dataset.forEach((item) => {
+    if (!kept.has(item) && candidatesByLabel.has(item.label)) candidatesByLabel.get(item.label).push(item);
+  });
+  const floor = Math.min(config.minPerLabel, Math.floor(budget / labels.length));
+  candidatesByLabel.forEach((candidates) => {
+    candidates.sort(byScore).slice(0, floor).forEach((item) => {
+      kept.add(item);
+      budget -= 1;
+    });
+  });
+
+  dataset
+    .filter((item) => !kept.has(item))
+    .sort(byScore)
+    .slice(0, Math.max(0, budget))
+    .forEach((item) => kept.add(item));
+
+  const evictedByLabel = {};
+  dataset.forEach((item) => {
+    if (!kept.has(item)) evictedByLabel[item.label] = (evictedByLabel[item.label] || 0) + 1;
+  });
+  onReport({ at: Date.now(), limit, floor, evicted: dataset.length - kept.size, evictedByLabel });
+  return dataset.filter((item) => kept.has(item));
+}
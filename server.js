@@ -1,41 +1,368 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
 const PORT = Number(process.env.PORT || 8787);
 const DB_PATH = process.env.DRAWINGS_DB_PATH || path.join(__dirname, 'drawings-db.json');
+const DEFAULT_PAGE_SIZE = 250;
+const MAX_PAGE_SIZE = 1000;
 
-function readDb() {
+const LOG_PATH = process.env.DRAWINGS_LOG_PATH || `${DB_PATH}.log`;
+const COMPACT_EVERY = Math.max(1, Number(process.env.DRAWINGS_DB_COMPACT_EVERY || 500));
+const MAX_STORED_DRAWINGS = Math.max(1, Number(process.env.MAX_DRAWINGS_PER_ROOM || 50000));
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const RATE_LIMIT_WINDOW_MS = Math.max(1000, Number(process.env.SYNC_RATE_LIMIT_WINDOW_MS || 60 * 1000));
+const RATE_LIMIT_PER_CLIENT = Math.max(1, Number(process.env.SYNC_RATE_LIMIT_PER_CLIENT || 30));
+const RATE_LIMIT_PER_IP = Math.max(1, Number(process.env.SYNC_RATE_LIMIT_PER_IP || 120));
+const RATE_LIMIT_PAGES_PER_IP = Math.max(1, Number(process.env.SYNC_RATE_LIMIT_PAGES_PER_IP || 600));
+const DRAWING_QUOTA_PER_AUTHOR = Math.max(1, Number(process.env.DRAWING_QUOTA_PER_AUTHOR || 5000));
+const CURATION_QUOTA_PER_AUTHOR = Math.max(1, Number(process.env.CURATION_QUOTA_PER_AUTHOR || 5000));
+const TOMBSTONE_QUOTA_PER_AUTHOR = Math.max(1, Number(process.env.TOMBSTONE_QUOTA_PER_AUTHOR || DRAWING_QUOTA_PER_AUTHOR));
+const DEFAULT_ROOM = 'main';
+const MAX_PUBLIC_KEYS_PER_CLIENT = 5;
+
+// Maps keyed by room or client id have no prototype, so names like "constructor" are ordinary keys.
+function createDictionary(source) {
+  return Object.assign(Object.create(null), source && typeof source === 'object' ? source : {});
+}
+
+function createEmptyDb() {
+  return {
+    profiles: createDictionary(),
+    drawings: [],
+    encryptedIps: createDictionary(),
+    activity: createDictionary(),
+    credentials: createDictionary(),
+    revisions: createDictionary(),
+    expiredTombstones: createDictionary(),
+    seq: 0,
+  };
+}
+
+function isValidRoom(value) {
+  return typeof value === 'string' && /^[a-z0-9][a-z0-9-]{0,39}$/.test(value);
+}
+
+function parseRoom(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_ROOM;
+  const room = `${value}`.trim().toLowerCase();
+  return isValidRoom(room) ? room : null;
+}
+
+function needsMigration(parsed) {
+  return Array.isArray(parsed?.drawings) &&
+    parsed.drawings.some((drawing) => typeof drawing?.rev !== 'number' || !isValidRoom(drawing?.room));
+}
+
+function normalizeDb(parsed) {
+  if (!parsed || typeof parsed !== 'object') throw new Error('invalid db');
+  const db = {
+    profiles: createDictionary(parsed.profiles),
+    drawings: Array.isArray(parsed.drawings) ? parsed.drawings : [],
+    encryptedIps: createDictionary(parsed.encryptedIps),
+    activity: createDictionary(),
+    credentials: createDictionary(parsed.credentials),
+    revisions: createDictionary(
+      Object.fromEntries(Object.entries(parsed.revisions || {}).filter(([, value]) => typeof value === 'number'))
+    ),
+    expiredTombstones: createDictionary(),
+    seq: typeof parsed.seq === 'number' ? parsed.seq : 0,
+  };
+
+  Object.entries(parsed.expiredTombstones && typeof parsed.expiredTombstones === 'object' ? parsed.expiredTombstones : {}).forEach(([clientId, ids]) => {
+    if (Array.isArray(ids)) db.expiredTombstones[clientId] = ids.filter((id) => typeof id === 'string');
+  });
+
+  // Presence is kept per room; entries from before rooms existed are just dropped.
+  Object.entries(parsed.activity && typeof parsed.activity === 'object' ? parsed.activity : {}).forEach(([room, entries]) => {
+    if (isValidRoom(room) && entries && typeof entries === 'object') db.activity[room] = createDictionary(entries);
+  });
+
+  // Databases from before rooms existed had one revision counter, which now belongs to the default room.
+  if (typeof parsed.revision === 'number' && typeof db.revisions[DEFAULT_ROOM] !== 'number') {
+    db.revisions[DEFAULT_ROOM] = parsed.revision;
+  }
+
+  // Drawings stored before revisions or rooms existed get them now, so paging cursors have something to compare.
+  db.drawings = db.drawings.map((drawing) => {
+    const room = isValidRoom(drawing?.room) ? drawing.room : DEFAULT_ROOM;
+    if (typeof drawing?.rev === 'number' && drawing.room === room) return drawing;
+    if (typeof drawing?.rev === 'number') return { ...drawing, room };
+    db.revisions[room] = (db.revisions[room] || 0) + 1;
+    return { ...drawing, room, rev: db.revisions[room] };
+  });
+
+  return db;
+}
+
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function fsyncDirectory(dirPath) {
   try {
-    const raw = fs.readFileSync(DB_PATH, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') throw new Error('invalid db');
-    return {
-      profiles: parsed.profiles && typeof parsed.profiles === 'object' ? parsed.profiles : {},
-      drawings: Array.isArray(parsed.drawings) ? parsed.drawings : [],
-      encryptedIps: parsed.encryptedIps && typeof parsed.encryptedIps === 'object' ? parsed.encryptedIps : {},
-      activity: parsed.activity && typeof parsed.activity === 'object' ? parsed.activity : {},
-      revision: typeof parsed.revision === 'number' ? parsed.revision : Date.now(),
-    };
+    const fd = fs.openSync(dirPath, 'r');
+    try {
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
   } catch {
-    return { profiles: {}, drawings: [], encryptedIps: {}, activity: {}, revision: Date.now() };
+    // Some platforms cannot fsync a directory; the rename itself is still atomic.
   }
 }
 
-function writeDb(db) {
-  fs.writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
+// Storage engine: a JSON snapshot plus an append-only log of commits. Each commit is one line,
+// `<checksum> <json>`, written and fsynced before it is applied in memory. Replaying the log on top of
+// the snapshot restores the latest state; compaction folds the log back into a new snapshot.
+function openStore(dbPath = DB_PATH, logPath = LOG_PATH) {
+  let db = createEmptyDb();
+  let migrated = false;
+
+  if (fs.existsSync(dbPath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
+      migrated = needsMigration(parsed);
+      db = normalizeDb(parsed);
+    } catch (error) {
+      throw new Error(`${dbPath} is corrupt (${error.message}). Restore it from a backup or move it aside to start empty.`);
+    }
+  }
+
+  let drawingIndex = new Map();
+  const reindexDrawings = () => {
+    drawingIndex = new Map(db.drawings.map((drawing, index) => [drawing.id, index]));
+  };
+  reindexDrawings();
+  // Expired tombstones leave only their id behind, which still blocks a late upload of the same id.
+  const expiredIds = new Set(Object.values(db.expiredTombstones).flat());
+
+  const applyOps = (ops) => {
+    ops.forEach((op) => {
+      if (op.op === 'set' || op.op === 'unset') {
+        let target = db;
+        op.path.slice(0, -1).forEach((key) => {
+          if (!Object.hasOwn(target, key) || !target[key] || typeof target[key] !== 'object') target[key] = createDictionary();
+          target = target[key];
+        });
+        const lastKey = op.path[op.path.length - 1];
+        if (op.op === 'set') target[lastKey] = op.value;
+        else delete target[lastKey];
+      } else if (op.op === 'putDrawing') {
+        const index = drawingIndex.get(op.drawing.id);
+        if (index === undefined) {
+          drawingIndex.set(op.drawing.id, db.drawings.length);
+          db.drawings.push(op.drawing);
+        } else {
+          db.drawings[index] = op.drawing;
+        }
+      } else if (op.op === 'removeDrawings' || op.op === 'expireTombstones') {
+        const ids = new Set(op.ids);
+        db.drawings = db.drawings.filter((drawing) => !ids.has(drawing.id));
+        reindexDrawings();
+        if (op.op === 'expireTombstones') {
+          if (!Object.hasOwn(db.expiredTombstones, op.clientId)) db.expiredTombstones[op.clientId] = [];
+          db.expiredTombstones[op.clientId].push(...op.ids);
+          op.ids.forEach((id) => expiredIds.add(id));
+        }
+      } else {
+        throw new Error(`unknown op "${op.op}"`);
+      }
+    });
+  };
+
+  let logCommits = 0;
+  if (fs.existsSync(logPath)) {
+    const raw = fs.readFileSync(logPath, 'utf8');
+    const lines = raw.split('\n');
+    let goodBytes = 0;
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      const isLastLine = i === lines.length - 1;
+      if (isLastLine && !line) break;
+
+      let record = null;
+      const separator = line.indexOf(' ');
+      const body = separator > 0 ? line.slice(separator + 1) : '';
+      if (!isLastLine && separator > 0 && checksum(body) === line.slice(0, separator)) {
+        try {
+          record = JSON.parse(body);
+        } catch {
+          record = null;
+        }
+      }
+
+      if (!record) {
+        // Only the final line can be a torn write from a crash; anything earlier means real corruption.
+        const isTail = lines.slice(i + 1).every((rest) => !rest);
+        if (!isTail) throw new Error(`${logPath} is corrupt at line ${i + 1}. Restore it from a backup before starting.`);
+        console.warn(`Discarding incomplete commit at the end of ${logPath} (line ${i + 1}).`);
+        fs.truncateSync(logPath, goodBytes);
+        break;
+      }
+
+      goodBytes += Buffer.byteLength(line) + 1;
+      if (record.seq <= db.seq) continue;
+      applyOps(record.ops);
+      db.seq = record.seq;
+      logCommits += 1;
+    }
+  }
+
+  const logFd = fs.openSync(logPath, 'a');
+
+  const compact = () => {
+    const tmpPath = `${dbPath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(db));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, dbPath);
+    fsyncDirectory(path.dirname(dbPath));
+    fs.ftruncateSync(logFd, 0);
+    fs.fsyncSync(logFd);
+    logCommits = 0;
+  };
+
+  const commit = (ops) => {
+    if (!ops.length) return;
+    const record = { seq: db.seq + 1, ops };
+    const body = JSON.stringify(record);
+    fs.writeSync(logFd, `${checksum(body)} ${body}\n`);
+    fs.fsyncSync(logFd);
+    applyOps(ops);
+    db.seq = record.seq;
+    logCommits += 1;
+    if (logCommits >= COMPACT_EVERY) compact();
+  };
+
+  if (migrated) compact();
+
+  return {
+    get db() {
+      return db;
+    },
+    hasDrawing: (id) => drawingIndex.has(id),
+    isExpiredTombstone: (id) => expiredIds.has(id),
+    getDrawing: (id) => {
+      const index = drawingIndex.get(id);
+      return index === undefined ? undefined : db.drawings[index];
+    },
+    commit,
+    compact,
+  };
 }
 
-function sendJson(res, code, payload) {
+function sendJson(res, code, payload, headers = {}) {
   res.writeHead(code, {
+    ...headers,
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+    'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
   });
   res.end(JSON.stringify(payload));
 }
 
+// Fixed-window request counters, kept in memory only: a restart simply starts every window fresh.
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return (key) => {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      windows.forEach((window, windowKey) => {
+        if (now - window.start >= windowMs) windows.delete(windowKey);
+      });
+    }
+
+    let window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      retryAfterSeconds: Math.max(1, Math.ceil((window.start + windowMs - now) / 1000)),
+    };
+  };
+}
+
+const limitByIp = createRateLimiter({ limit: RATE_LIMIT_PER_IP, windowMs: RATE_LIMIT_WINDOW_MS });
+const limitByClient = createRateLimiter({ limit: RATE_LIMIT_PER_CLIENT, windowMs: RATE_LIMIT_WINDOW_MS });
+// Downloading a large room takes many pages in a row, so paging has its own, higher budget.
+const limitPagesByIp = createRateLimiter({ limit: RATE_LIMIT_PAGES_PER_IP, windowMs: RATE_LIMIT_WINDOW_MS });
+
+function sendRateLimited(res, scope, retryAfterSeconds) {
+  sendJson(
+    res,
+    429,
+    { error: 'Too many requests', scope, retryAfterSeconds },
+    { 'Retry-After': String(retryAfterSeconds) }
+  );
+}
+
+function parseRevision(value) {
+  if ((typeof value !== 'string' || !value.trim()) && typeof value !== 'number') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function isValidClientId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value);
+}
+
+// Public signing keys are base64 SPKI (ECDSA P-256 is 91 bytes). The server only stores and relays them.
+function isValidPublicKey(value) {
+  return typeof value === 'string' && value.length <= 256 && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns true when the request carries the secret token that was issued to `clientId` by /api/register.
+function isAuthenticatedFor(req, clientId) {
+  const credential = store.db.credentials[clientId];
+  const header = req.headers.authorization || '';
+  const match = /^Bearer ([A-Za-z0-9_-]{20,200})$/.exec(header);
+  if (typeof credential?.tokenHash !== 'string' || !match) return false;
+  const expected = Buffer.from(credential.tokenHash, 'hex');
+  const actual = Buffer.from(hashToken(match[1]), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function handleRegister(req, res, body) {
+  const clientId = body?.clientId;
+  if (!isValidClientId(clientId)) {
+    sendJson(res, 400, { error: 'Invalid clientId' });
+    return;
+  }
+
+  // First come, first served: once an id has a token, nobody else can claim it. Ids from before
+  // registration existed are claimed the same way, normally by their owner's browser on its next sync.
+  if (store.db.credentials[clientId]) {
+    sendJson(res, 409, { error: 'Client id already registered' });
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  store.commit([{ op: 'set', path: ['credentials', clientId], value: { tokenHash: hashToken(token), createdAt: Date.now() } }]);
+  sendJson(res, 200, { ok: true, clientId, token });
+}
+
+// Curation records are keyed by author and target drawing (`cur_<clientId>_<drawingId>`), so a new
+// decision replaces the author's previous one instead of piling up.
+function isCurationIdFor(id, clientId) {
+  return id.length <= 200 && id.startsWith(`cur_${clientId}_`) && id.length > `cur_${clientId}_`.length;
+}
+
 function sanitizeDrawing(item, profile) {
   if (
     !item ||
@@ -54,21 +381,47 @@ function sanitizeDrawing(item, profile) {
     keyHint: typeof item.keyHint === 'string' ? item.keyHint : '',
     clientId: profile.clientId,
     authorName: profile.name,
+    // Curation records (relabel/flag/exclude decisions) travel with drawings but are not drawings.
+    ...(item.kind === 'curation' ? { kind: 'curation' } : {}),
   };
 }
 
 function handleSync(req, res, body) {
-  const db = readDb();
+  const { db } = store;
   const profile = body?.profile;
 
-  if (!profile || typeof profile.clientId !== 'string' || typeof profile.name !== 'string' || !profile.name.trim()) {
+  if (!profile || !isValidClientId(profile.clientId) || typeof profile.name !== 'string' || !profile.name.trim()) {
     sendJson(res, 400, { error: 'Invalid profile' });
     return;
   }
 
+  if (!isAuthenticatedFor(req, profile.clientId)) {
+    sendJson(res, 401, { error: 'Not authenticated for this client id' });
+    return;
+  }
+
+  const clientLimit = limitByClient(profile.clientId);
+  if (!clientLimit.allowed) {
+    sendRateLimited(res, 'client', clientLimit.retryAfterSeconds);
+    return;
+  }
+
+  const room = parseRoom(body?.room);
+  if (!room) {
+    sendJson(res, 400, { error: 'Invalid room' });
+    return;
+  }
+
   const normalizedProfile = { clientId: profile.clientId, name: profile.name.trim() };
-  db.profiles[profile.clientId] = normalizedProfile;
-  db.activity[profile.clientId] = Date.now();
+  // Older keys are kept so drawings signed before a key change still verify on other devices.
+  const knownPublicKeys = Array.isArray(db.profiles[profile.clientId]?.publicKeys) ? db.profiles[profile.clientId].publicKeys : [];
+  const publicKeys = isValidPublicKey(profile.publicKey) && !knownPublicKeys.includes(profile.publicKey)
+    ? [...knownPublicKeys, profile.publicKey].slice(-MAX_PUBLIC_KEYS_PER_CLIENT)
+    : knownPublicKeys;
+  const ops = [
+    { op: 'set', path: ['profiles', profile.clientId], value: { ...normalizedProfile, publicKeys } },
+    { op: 'set', path: ['activity', room, profile.clientId], value: Date.now() },
+  ];
 
   const encryptedIp = body?.encryptedIp;
   if (
@@ -78,34 +431,166 @@ function handleSync(req, res, body) {
     typeof encryptedIp.iv === 'string' &&
     typeof encryptedIp.ver === 'number'
   ) {
-    db.encryptedIps[profile.clientId] = {
-      id: encryptedIp.id,
-      enc: encryptedIp.enc,
-      iv: encryptedIp.iv,
-      ver: encryptedIp.ver,
-      keyHint: typeof encryptedIp.keyHint === 'string' ? encryptedIp.keyHint : '',
-    };
+    ops.push({
+      op: 'set',
+      path: ['encryptedIps', profile.clientId],
+      value: {
+        id: encryptedIp.id,
+        enc: encryptedIp.enc,
+        iv: encryptedIp.iv,
+        ver: encryptedIp.ver,
+        keyHint: typeof encryptedIp.keyHint === 'string' ? encryptedIp.keyHint : '',
+      },
+    });
   }
 
+  // Every stored change gets its own revision within its room, so /api/drawings can page through a room
+  // with a single cursor.
+  const revisions = createDictionary();
+  const nextRevision = (drawingRoom) => {
+    revisions[drawingRoom] = (revisions[drawingRoom] ?? db.revisions[drawingRoom] ?? 0) + 1;
+    return revisions[drawingRoom];
+  };
+
+  // Deleted drawings become tombstones that keep their id and get a new revision, so every device sees
+  // the deletion in /api/drawings and a late upload of the same id can never bring the drawing back.
+  // Only stored drawings can be deleted, so made-up ids never turn into tombstones.
+  const requestedDeletions = Array.isArray(body?.deletions) ? body.deletions.filter((id) => typeof id === 'string') : [];
+  const tombstonedIds = new Set();
+  const deleted = [];
+  const forbidden = [];
+  const unknown = [];
+  const freedByRoom = {};
+  let freedOwn = 0;
+  requestedDeletions.forEach((id) => {
+    const existing = store.getDrawing(id);
+    if (!existing) {
+      unknown.push(id);
+      return;
+    }
+    if (existing.clientId !== normalizedProfile.clientId) {
+      forbidden.push(id);
+      return;
+    }
+    deleted.push(id);
+    if (existing.deleted || tombstonedIds.has(id)) return;
+    tombstonedIds.add(id);
+    if (existing.kind !== 'curation') {
+      freedOwn += 1;
+      freedByRoom[existing.room] = (freedByRoom[existing.room] || 0) + 1;
+    }
+    const drawingRoom = existing.room;
+    ops.push({
+      op: 'putDrawing',
+      drawing: {
+        id,
+        deleted: true,
+        deletedAt: Date.now(),
+        clientId: normalizedProfile.clientId,
+        room: drawingRoom,
+        rev: nextRevision(drawingRoom),
+      },
+    });
+  });
+
   const incomingDrawings = Array.isArray(body?.drawings) ? body.drawings : [];
-  const existingIds = new Set(db.drawings.map((drawing) => drawing.id));
+  const addedIds = new Set();
+  const replacedIds = new Set();
+  const curationIds = new Set();
+  const accepted = [];
+  const rejected = [];
+  let storedCurations = null;
+  let storedOwn = null;
+  let storedInRoom = null;
+  let addedDrawingCount = 0;
   incomingDrawings.forEach((item) => {
     const sanitized = sanitizeDrawing(item, normalizedProfile);
-    if (!sanitized || existingIds.has(sanitized.id)) return;
-    existingIds.add(sanitized.id);
-    db.drawings.push(sanitized);
+    if (!sanitized) return;
+    // A tombstone that expired still answers for its id, so a late upload is acknowledged and dropped.
+    if (store.isExpiredTombstone(sanitized.id)) {
+      accepted.push(sanitized.id);
+      return;
+    }
+    if (sanitized.kind === 'curation' && !isCurationIdFor(sanitized.id, normalizedProfile.clientId)) {
+      rejected.push({ id: sanitized.id, reason: 'invalid-curation-id' });
+      return;
+    }
+    if (sanitized.kind === 'curation' && !store.hasDrawing(sanitized.id) && !curationIds.has(sanitized.id)) {
+      if (storedCurations === null) {
+        storedCurations = db.drawings.filter((drawing) => drawing.kind === 'curation' && drawing.clientId === normalizedProfile.clientId).length;
+      }
+      if (storedCurations + curationIds.size >= CURATION_QUOTA_PER_AUTHOR) {
+        rejected.push({ id: sanitized.id, reason: 'curation-quota' });
+        return;
+      }
+    }
+    // New drawings over the author's quota, or beyond the room's cap, are refused one by one; everything
+    // else in the request (deletions, renames, other uploads) still goes through. Deletions in the same
+    // request free their space first.
+    if (sanitized.kind !== 'curation' && !store.hasDrawing(sanitized.id) && !addedIds.has(sanitized.id)) {
+      if (storedOwn === null) {
+        const live = db.drawings.filter((drawing) => !drawing.deleted && drawing.kind !== 'curation');
+        storedOwn = live.filter((drawing) => drawing.clientId === normalizedProfile.clientId).length - freedOwn;
+        storedInRoom = live.filter((drawing) => drawing.room === room).length - (freedByRoom[room] || 0);
+      }
+      if (storedOwn + addedDrawingCount >= DRAWING_QUOTA_PER_AUTHOR) {
+        rejected.push({ id: sanitized.id, reason: 'quota' });
+        return;
+      }
+      if (storedInRoom + addedDrawingCount >= MAX_STORED_DRAWINGS) {
+        rejected.push({ id: sanitized.id, reason: 'room-full' });
+        return;
+      }
+      addedDrawingCount += 1;
+    }
+    // Another author's id is never overwritten, and the uploader is told so instead of getting an ack.
+    const existing = store.getDrawing(sanitized.id);
+    if (existing && !existing.deleted && existing.clientId !== normalizedProfile.clientId) {
+      rejected.push({ id: sanitized.id, reason: 'not-owner' });
+      return;
+    }
+    accepted.push(sanitized.id);
+    if (addedIds.has(sanitized.id) || replacedIds.has(sanitized.id) || tombstonedIds.has(sanitized.id)) return;
+    if (existing) {
+      // An author re-uploading with new ciphertext (after a key rotation) retires the old blob.
+      if (existing.deleted || existing.iv === sanitized.iv) return;
+      replacedIds.add(sanitized.id);
+      ops.push({ op: 'putDrawing', drawing: { ...sanitized, room: existing.room, rev: nextRevision(existing.room) } });
+      return;
+    }
+    addedIds.add(sanitized.id);
+    if (sanitized.kind === 'curation') curationIds.add(sanitized.id);
+    ops.push({ op: 'putDrawing', drawing: { ...sanitized, room, rev: nextRevision(room) } });
   });
 
-  db.drawings = db.drawings.map((drawing) => {
-    if (drawing.clientId !== normalizedProfile.clientId) return drawing;
-    return { ...drawing, authorName: normalizedProfile.name };
-  }).slice(-50000);
+  db.drawings.forEach((drawing) => {
+    if (drawing.deleted || tombstonedIds.has(drawing.id) || replacedIds.has(drawing.id)) return;
+    if (drawing.clientId !== normalizedProfile.clientId || drawing.authorName === normalizedProfile.name) return;
+    ops.push({
+      op: 'putDrawing',
+      drawing: { ...drawing, authorName: normalizedProfile.name, rev: nextRevision(drawing.room) },
+    });
+  });
+
+  // Each author keeps a bounded number of tombstones; the oldest ones expire first and are reduced to
+  // their id. Tombstones are not drawings, so they never count toward or get removed by the room's storage cap.
+  if (tombstonedIds.size) {
+    const ownTombstones = db.drawings.filter((drawing) => drawing.deleted && drawing.clientId === normalizedProfile.clientId);
+    // Tombstones written by this request are the newest, so they come last.
+    const oldestFirst = [...ownTombstones.sort((a, b) => a.rev - b.rev).map((drawing) => drawing.id), ...tombstonedIds];
+    const expired = oldestFirst.length - TOMBSTONE_QUOTA_PER_AUTHOR;
+    if (expired > 0) {
+      ops.push({ op: 'expireTombstones', clientId: normalizedProfile.clientId, ids: oldestFirst.slice(0, expired) });
+    }
+  }
 
-  db.revision = Date.now();
-  writeDb(db);
+  Object.entries(revisions).forEach(([drawingRoom, value]) => {
+    ops.push({ op: 'set', path: ['revisions', drawingRoom], value });
+  });
+  store.commit(ops);
 
   const cutoff = Date.now() - 2 * 60 * 1000;
-  const online = Object.entries(db.activity)
+  const online = Object.entries(db.activity[room] || {})
     .filter(([, ts]) => typeof ts === 'number' && ts >= cutoff)
     .map(([clientId]) => ({
       clientId,
@@ -114,38 +599,137 @@ function handleSync(req, res, body) {
 
   sendJson(res, 200, {
     ok: true,
-    revision: String(db.revision),
-    drawings: db.drawings,
+    room,
+    revision: String(db.revisions[room] || 0),
+    accepted,
+    deleted,
+    forbidden,
+    unknown,
+    rejected,
     online,
   });
 }
 
+function handleDrawingsPage(res, searchParams) {
+  const { db } = store;
+  const room = parseRoom(searchParams.get('room'));
+  if (!room) {
+    sendJson(res, 400, { error: 'Invalid room' });
+    return;
+  }
+  // `clientId` narrows the page to one author's records, so a client can walk its own uploads.
+  const author = searchParams.get('clientId');
+  if (author !== null && !isValidClientId(author)) {
+    sendJson(res, 400, { error: 'Invalid clientId' });
+    return;
+  }
+
+  const roomRevision = db.revisions[room] || 0;
+  const requestedAfter = parseRevision(searchParams.get('after')) ?? 0;
+  const requestedLimit = parseRevision(searchParams.get('limit')) ?? DEFAULT_PAGE_SIZE;
+  const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, Math.floor(requestedLimit)));
+
+  // A cursor from a newer (or reset) database cannot be trusted, so restart from the beginning.
+  const reset = requestedAfter > roomRevision;
+  const after = reset ? 0 : requestedAfter;
+
+  const pending = db.drawings
+    .filter((drawing) => drawing.room === room && drawing.rev > after && (!author || drawing.clientId === author))
+    .sort((a, b) => a.rev - b.rev);
+  const drawings = pending.slice(0, limit);
+  const cursor = drawings.length ? drawings[drawings.length - 1].rev : Math.max(after, roomRevision);
+
+  // Public keys of every author on this page, so clients can verify signatures without another request.
+  const authors = createDictionary();
+  drawings.forEach((drawing) => {
+    const authorProfile = db.profiles[drawing.clientId];
+    if (authors[drawing.clientId] || !authorProfile) return;
+    authors[drawing.clientId] = { publicKeys: Array.isArray(authorProfile.publicKeys) ? authorProfile.publicKeys : [] };
+  });
+
+  sendJson(res, 200, {
+    ok: true,
+    room,
+    revision: String(roomRevision),
+    cursor: String(cursor),
+    reset,
+    remaining: pending.length - drawings.length,
+    hasMore: pending.length > drawings.length,
+    drawings,
+    authors,
+  });
+}
+
 const server = http.createServer((req, res) => {
   if (req.method === 'OPTIONS') {
     sendJson(res, 200, { ok: true });
     return;
   }
 
-  if (req.method !== 'POST' || req.url !== '/api/sync') {
+  const url = new URL(req.url, 'http://localhost');
+
+  const isPageRequest = req.method === 'GET' && url.pathname === '/api/drawings';
+  const ipLimit = (isPageRequest ? limitPagesByIp : limitByIp)(req.socket.remoteAddress || 'unknown');
+  if (!ipLimit.allowed) {
+    sendRateLimited(res, 'ip', ipLimit.retryAfterSeconds);
+    return;
+  }
+
+  if (isPageRequest) {
+    handleDrawingsPage(res, url.searchParams);
+    return;
+  }
+
+  const postHandlers = { '/api/sync': handleSync, '/api/register': handleRegister };
+  const handler = req.method === 'POST' ? postHandlers[url.pathname] : null;
+  if (!handler) {
     sendJson(res, 404, { error: 'Not found' });
     return;
   }
 
   let raw = '';
+  let tooLarge = false;
   req.on('data', (chunk) => {
+    if (tooLarge) return;
     raw += chunk;
-    if (raw.length > 20 * 1024 * 1024) {
-      req.destroy();
+    if (raw.length > MAX_BODY_BYTES) {
+      tooLarge = true;
+      raw = '';
+      sendJson(res, 413, { error: 'Request body too large', maxBytes: MAX_BODY_BYTES }, { Connection: 'close' });
     }
   });
 
   req.on('end', () => {
+    if (tooLarge) return;
+    let body;
     try {
-      const body = raw ? JSON.parse(raw) : {};
-      handleSync(req, res, body);
+      body = raw ? JSON.parse(raw) : {};
     } catch {
       sendJson(res, 400, { error: 'Invalid JSON' });
+      return;
     }
+
+    try {
+      handler(req, res, body);
+    } catch (error) {
+      console.error(`${url.pathname} failed:`, error);
+      sendJson(res, 500, { error: 'Storage error' });
+    }
+  });
+});
+
+let store;
+try {
+  store = openStore();
+} catch (error) {
+  console.error(`Refusing to start: ${error.message}`);
+  process.exit(1);
+}
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    store.compact();
+    process.exit(0);
   });
 });
 
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// classifier.js and dataset.js are plain browser scripts; run them as the page does, sharing one global scope.
+['classifier.js', 'dataset.js'].forEach((file) => {
+  const filename = path.join(__dirname, '..', file);
+  vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+const VECTOR_LENGTH = 16 * 16;
+
+function vectorWithInk(ink) {
+  return Array.from({ length: VECTOR_LENGTH }, (_, index) => (index < Math.round(ink * VECTOR_LENGTH) ? 1 : 0));
+}
+
+function drawing(id, label, ts, ink = 0.1) {
+  return { id, label, ts, vector: vectorWithInk(ink) };
+}
+
+const KEEP_NEWEST = { minPerLabel: 0, qualityWeight: 0 };
+
+test('encodeVector round-trips through decodeVector at 8-bit precision', () => {
+  const vector = Array.from({ length: VECTOR_LENGTH }, (_, index) => (index % 7 === 0 ? (index % 255) / 255 : 0));
+  const encoded = encodeVector(vector);
+  assert.match(encoded, /^q8z1:/);
+  assert.deepStrictEqual(decodeVector(encoded), vector);
+
+  const noisy = vector.map((value) => (value ? value + 0.001 : 0));
+  decodeVector(encodeVector(noisy)).forEach((value, index) => assert.ok(Math.abs(value - noisy[index]) <= 0.5 / 255));
+});
+
+test('encodeVector collapses blank runs longer than one byte', () => {
+  const blank = new Array(VECTOR_LENGTH).fill(0);
+  const encoded = encodeVector(blank);
+  // 256 zeros: a full run of 255, then a run of 1.
+  assert.strictEqual(encoded, 'q8z1:AP8AAQ==');
+  assert.deepStrictEqual(decodeVector(encoded), blank);
+});
+
+test('encodeVector clamps out-of-range and non-numeric values', () => {
+  const vector = new Array(VECTOR_LENGTH).fill(0);
+  vector[0] = 2;
+  vector[1] = -1;
+  vector[2] = 'x';
+  const decoded = decodeVector(encodeVector(vector));
+  assert.deepStrictEqual(decoded.slice(0, 3), [1, 0, 0]);
+});
+
+test('decodeVector accepts legacy arrays and rejects malformed input', () => {
+  const legacy = vectorWithInk(0.2);
+  assert.strictEqual(decodeVector(legacy), legacy);
+
+  assert.strictEqual(decodeVector(legacy.slice(1)), null);
+  assert.strictEqual(decodeVector([...legacy.slice(1), 1.5]), null);
+  assert.strictEqual(decodeVector(encodeVector(legacy.slice(1))), null);
+  assert.strictEqual(decodeVector('q8z1:%%%'), null);
+  assert.strictEqual(decodeVector('plain text'), null);
+  assert.strictEqual(decodeVector(null), null);
+});
+
+test('trimDataset leaves a dataset under the limit untouched', () => {
+  const dataset = [drawing('a', 'cat', 1), drawing('b', 'dog', 2)];
+  const reports = [];
+  const trimmed = trimDataset(dataset, { labels: ['cat', 'dog'], limit: 2, config: KEEP_NEWEST, onReport: (report) => reports.push(report) });
+  assert.strictEqual(trimmed, dataset);
+  assert.deepStrictEqual(reports, []);
+});
+
+test('trimDataset keeps pending drawings and otherwise the newest', () => {
+  const dataset = [drawing('a', 'cat', 1), drawing('b', 'cat', 2), drawing('c', 'cat', 3), drawing('d', 'cat', 4)];
+  const reports = [];
+  const trimmed = trimDataset(dataset, {
+    labels: ['cat'],
+    limit: 2,
+    config: KEEP_NEWEST,
+    pendingIds: new Set(['a']),
+    onReport: (report) => reports.push(report),
+  });
+  assert.deepStrictEqual(trimmed.map((item) => item.id), ['a', 'd']);
+  assert.strictEqual(reports.length, 1);
+  assert.strictEqual(reports[0].evicted, 2);
+  assert.deepStrictEqual(reports[0].evictedByLabel, { cat: 2 });
+});
+
+test('trimDataset keeps a floor per label before filling by score', () => {
+  const dataset = [drawing('dog1', 'dog', 1), ...[2, 3, 4, 5].map((ts) => drawing(`cat${ts}`, 'cat', ts))];
+  const trimmed = trimDataset(dataset, { labels: ['cat', 'dog'], limit: 3, config: { minPerLabel: 1, qualityWeight: 0 } });
+  assert.deepStrictEqual(trimmed.map((item) => item.id), ['dog1', 'cat4', 'cat5']);
+
+  const withoutFloor = trimDataset(dataset, { labels: ['cat', 'dog'], limit: 3, config: KEEP_NEWEST });
+  assert.deepStrictEqual(withoutFloor.map((item) => item.id), ['cat3', 'cat4', 'cat5']);
+});
+
+test('trimDataset prefers well-inked drawings as qualityWeight grows', () => {
+  const dataset = [drawing('good', 'cat', 1, 0.2), drawing('blank', 'cat', 2, 0), drawing('solid', 'cat', 3, 0.9)];
+  const trimmed = trimDataset(dataset, { labels: ['cat'], limit: 1, config: { minPerLabel: 0, qualityWeight: 1 } });
+  assert.deepStrictEqual(trimmed.map((item) => item.id), ['good']);
+  assert.strictEqual(drawingQuality(dataset[1]), 0);
+  assert.strictEqual(drawingQuality(dataset[2]), 0);
+  assert.ok(drawingQuality({ ...dataset[0], verified: true }) > drawingQuality(dataset[0]));
+});
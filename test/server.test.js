@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts server.js on a free port with its database in `dir`. Stopping it with SIGTERM compacts the log.
+async function startServer(dir, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, ...env, PORT: String(port), DRAWINGS_DB_PATH: path.join(dir, 'db.json') },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('listening')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', () => reject(new Error(`server exited before listening: ${output}`)));
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    dir,
+    stop: async (signal = 'SIGTERM') => {
+      child.kill(signal);
+      await exited;
+    },
+    register: async (clientId) => {
+      const response = await fetch(`${base}/api/register`, { method: 'POST', body: JSON.stringify({ clientId }) });
+      return (await response.json()).token;
+    },
+    sync: async (token, clientId, body) => {
+      const response = await fetch(`${base}/api/sync`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ profile: { clientId, name: clientId }, ...body }),
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    page: async (query) => (await fetch(`${base}/api/drawings?${query}`)).json(),
+  };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drawings-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function blob(id, iv = 'iv1') {
+  return { id, enc: 'ciphertext', iv, ver: 2, keyHint: 'k' };
+}
+
+test('sync stores uploads, bumps the room revision and pages them back', async (t) => {
+  const server = await startServer(tempDir(t));
+  t.after(() => server.stop());
+  const token = await server.register('alice');
+
+  const first = await server.sync(token, 'alice', { drawings: [blob('d1'), blob('d2')] });
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(first.body.accepted, ['d1', 'd2']);
+  assert.strictEqual(first.body.revision, '2');
+
+  const page = await server.page('room=main&after=1');
+  assert.deepStrictEqual(page.drawings.map((drawing) => drawing.id), ['d2']);
+  assert.strictEqual(page.cursor, '2');
+
+  const other = await server.page('room=other');
+  assert.deepStrictEqual(other.drawings, []);
+});
+
+test('sync refuses unauthenticated requests and ids owned by another author', async (t) => {
+  const server = await startServer(tempDir(t));
+  t.after(() => server.stop());
+  const alice = await server.register('alice');
+  const bob = await server.register('bob');
+
+  assert.strictEqual((await server.sync('x'.repeat(32), 'alice', { drawings: [blob('d1')] })).status, 401);
+
+  await server.sync(alice, 'alice', { drawings: [blob('d1')] });
+  const stolen = await server.sync(bob, 'bob', { drawings: [blob('d1', 'iv2')] });
+  assert.deepStrictEqual(stolen.body.accepted, []);
+  assert.deepStrictEqual(stolen.body.rejected, [{ id: 'd1', reason: 'not-owner' }]);
+
+  const page = await server.page('room=main');
+  assert.strictEqual(page.drawings[0].clientId, 'alice');
+  assert.strictEqual(page.drawings[0].iv, 'iv1');
+});
+
+test('deletions leave tombstones that a late upload cannot bring back', async (t) => {
+  const server = await startServer(tempDir(t));
+  t.after(() => server.stop());
+  const alice = await server.register('alice');
+  const bob = await server.register('bob');
+  await server.sync(alice, 'alice', { drawings: [blob('d1'), blob('d2')] });
+
+  const forbidden = await server.sync(bob, 'bob', { deletions: ['d1', 'nope'] });
+  assert.deepStrictEqual(forbidden.body.forbidden, ['d1']);
+  assert.deepStrictEqual(forbidden.body.unknown, ['nope']);
+
+  const deleted = await server.sync(alice, 'alice', { deletions: ['d1'] });
+  assert.deepStrictEqual(deleted.body.deleted, ['d1']);
+
+  const late = await server.sync(alice, 'alice', { drawings: [blob('d1', 'iv2')] });
+  assert.deepStrictEqual(late.body.accepted, ['d1']);
+
+  const page = await server.page('room=main&after=2');
+  assert.deepStrictEqual(page.drawings.map(({ id, deleted: isDeleted }) => ({ id, deleted: isDeleted })), [{ id: 'd1', deleted: true }]);
+});
+
+test('expired tombstones still block re-uploads, including after a restart', async (t) => {
+  const dir = tempDir(t);
+  const env = { TOMBSTONE_QUOTA_PER_AUTHOR: '1' };
+  let server = await startServer(dir, env);
+  const alice = await server.register('alice');
+  await server.sync(alice, 'alice', { drawings: [blob('d1'), blob('d2')] });
+  await server.sync(alice, 'alice', { deletions: ['d1', 'd2'] });
+
+  const ids = (await server.page('room=main')).drawings.map((drawing) => drawing.id);
+  assert.deepStrictEqual(ids, ['d2']);
+
+  await server.stop('SIGKILL');
+  server = await startServer(dir, env);
+  t.after(() => server.stop());
+
+  const late = await server.sync(alice, 'alice', { drawings: [blob('d1', 'iv2')] });
+  assert.deepStrictEqual(late.body.accepted, ['d1']);
+  assert.deepStrictEqual((await server.page('room=main')).drawings.map((drawing) => drawing.id), ['d2']);
+});
+
+test('compaction folds the log into the snapshot and a restart replays both', async (t) => {
+  const dir = tempDir(t);
+  const dbPath = path.join(dir, 'db.json');
+  const logPath = `${dbPath}.log`;
+  let server = await startServer(dir, { DRAWINGS_DB_COMPACT_EVERY: '3' });
+  const alice = await server.register('alice');
+  await server.sync(alice, 'alice', { drawings: [blob('d1')] });
+  await server.sync(alice, 'alice', { drawings: [blob('d2')] });
+
+  // Register, then two syncs: the third commit compacts.
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8'), '');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(dbPath, 'utf8')).drawings.map((drawing) => drawing.id), ['d1', 'd2']);
+
+  await server.sync(alice, 'alice', { drawings: [blob('d3')] });
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8').trim().split('\n').length, 1);
+
+  await server.stop('SIGKILL');
+  // A torn final line from a crash is dropped; everything before it survives.
+  fs.appendFileSync(logPath, 'deadbeef {"seq":');
+  server = await startServer(dir);
+  t.after(() => server.stop());
+
+  const page = await server.page('room=main');
+  assert.deepStrictEqual(page.drawings.map((drawing) => drawing.id), ['d1', 'd2', 'd3']);
+  assert.strictEqual(page.cursor, '3');
+  assert.strictEqual(fs.readFileSync(logPath, 'utf8').trim().split('\n').length, 1);
+});